@@ -0,0 +1,103 @@
+// amenityTagReport.js — Amenity and tag usage report for Strapi Places (local or cloud)
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+const { buildAmenityTagReport, amenityTagReportToCsv } = require("./placeAnalytics");
+require("dotenv").config();
+
+// =========================
+// CONFIGURATION
+// =========================
+const MODE = process.env.MODE || "local"; // "local" or "cloud"
+
+const STRAPI_BASE =
+  MODE === "cloud"
+    ? process.env.CLOUD_STRAPI_URL
+    : process.env.LOCAL_STRAPI_URL || "http://127.0.0.1:1337";
+
+const STRAPI_API_URL = `${STRAPI_BASE}/api`;
+
+const STRAPI_API_TOKEN =
+  MODE === "cloud"
+    ? process.env.CLOUD_STRAPI_TOKEN
+    : process.env.LOCAL_STRAPI_TOKEN || process.env.STRAPI_API_TOKEN;
+
+if (!STRAPI_API_TOKEN) {
+  console.error("❌ Missing STRAPI_API_TOKEN. Please set it in your .env file.");
+  process.exit(1);
+}
+
+const REPORTS_DIR = path.join(__dirname, "reports");
+const PAGE_SIZE = 100;
+
+console.log(`🌍 Running in ${MODE.toUpperCase()} mode`);
+console.log(`📡 Base URL: ${STRAPI_BASE}`);
+
+// =========================
+// HELPERS
+// =========================
+async function fetchJSON(url) {
+  const res = await fetch(url, { headers: { Authorization: `Bearer ${STRAPI_API_TOKEN}` } });
+  const json = await res.json();
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}: ${JSON.stringify(json)}`);
+  return json;
+}
+
+// Walks every page of a collection endpoint
+async function fetchAll(endpoint, query) {
+  const items = [];
+  for (let page = 1; ; page++) {
+    const json = await fetchJSON(
+      `${STRAPI_API_URL}/${endpoint}?${query}&pagination[page]=${page}&pagination[pageSize]=${PAGE_SIZE}`
+    );
+    items.push(...(json.data || []));
+    const { pageCount = 1 } = json.meta?.pagination || {};
+    if (page >= pageCount) break;
+  }
+  return items;
+}
+
+// =========================
+// MAIN
+// =========================
+async function amenityTagReport({ outDir = REPORTS_DIR, topTags = 10 } = {}) {
+  console.log("📥 Fetching amenities…");
+  const amenities = await fetchAll("amenities", "fields[0]=slug&fields[1]=name");
+
+  console.log("📥 Fetching places…");
+  const places = await fetchAll(
+    "places",
+    "fields[0]=slug&fields[1]=name&fields[2]=province&populate[tag]=true&populate[amenities][fields][0]=slug"
+  );
+
+  const cataloguePath = path.join(__dirname, "amenitiesEnrichment.json");
+  const catalogue = fs.existsSync(cataloguePath) ? JSON.parse(fs.readFileSync(cataloguePath, "utf-8")) : [];
+
+  const report = buildAmenityTagReport({ places, amenities, catalogue }, { topTags });
+
+  fs.mkdirSync(outDir, { recursive: true });
+  const stamp = report.generated_at.slice(0, 10);
+  const jsonPath = path.join(outDir, `amenity-tag-report-${stamp}.json`);
+  const csvPath = path.join(outDir, `amenity-tag-report-${stamp}.csv`);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(csvPath, amenityTagReportToCsv(report));
+
+  const { totals } = report;
+  console.log(`📊 ${totals.places} places, ${totals.amenities} amenities, ${totals.distinct_tags} distinct tags`);
+  console.log(`💤 Unused amenities: ${totals.unused_amenities}`);
+  console.log(`🚫 Places without amenities: ${totals.places_without_amenities}`);
+  console.log(`🔤 Tag spelling variants: ${report.tag_variants.length}`);
+  console.log(`💾 Saved ${path.relative(__dirname, jsonPath)} and ${path.relative(__dirname, csvPath)}`);
+  return report;
+}
+
+// =========================
+// EXPORT + RUNNER
+// =========================
+module.exports = { amenityTagReport };
+
+if (require.main === module) {
+  amenityTagReport().catch((e) => {
+    console.error("💥 Script error:", e.message || e);
+  });
+}
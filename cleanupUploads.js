@@ -0,0 +1,105 @@
+// cleanupUploads.js — Find (and optionally delete) media library files no entry
+// uses any more, e.g. photos left behind when syncPlace.js re-uploaded a place
+const fetch = require("node-fetch");
+require("dotenv").config();
+
+// ==========================
+// CONFIGURATION
+// ==========================
+const MODE = process.env.MODE || "local"; // "local" or "cloud"
+
+const STRAPI_BASE =
+  MODE === "cloud"
+    ? process.env.CLOUD_STRAPI_URL
+    : process.env.LOCAL_STRAPI_URL || "http://127.0.0.1:1337";
+
+const UPLOAD_URL = `${STRAPI_BASE}/api/upload`;
+
+const STRAPI_API_TOKEN =
+  MODE === "cloud"
+    ? process.env.CLOUD_STRAPI_TOKEN
+    : process.env.LOCAL_STRAPI_TOKEN || process.env.STRAPI_API_TOKEN;
+
+if (!STRAPI_API_TOKEN) {
+  console.error("❌ Missing STRAPI_API_TOKEN. Please set it in your .env file.");
+  process.exit(1);
+}
+
+const PAGE_SIZE = 100;
+
+const headers = { Authorization: `Bearer ${STRAPI_API_TOKEN}` };
+
+// ==========================
+// HELPERS
+// ==========================
+async function fetchJson(url, options = {}) {
+  const res = await fetch(url, { ...options, headers: { ...headers, ...(options.headers || {}) } });
+  const text = await res.text();
+  if (!res.ok) throw new Error(`${options.method || "GET"} ${url} failed (${res.status}): ${text}`);
+  return text ? JSON.parse(text) : null;
+}
+
+// Every uploaded file with the entries that reference it (`related`). The
+// upload API ignores `pagination[...]`, so it is paged with start/limit.
+async function fetchAllFiles() {
+  const files = [];
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const batch = await fetchJson(
+      `${UPLOAD_URL}/files?populate=related&sort=id:asc&start=${start}&limit=${PAGE_SIZE}`
+    );
+    if (!batch.length) return files;
+    files.push(...batch);
+  }
+}
+
+const formatSize = (kb) => (kb >= 1024 ? `${(kb / 1024).toFixed(1)} MB` : `${Math.round(kb || 0)} KB`);
+
+// ==========================
+// MAIN
+// ==========================
+/**
+ * Lists files that no entry, component or media field points at. With
+ * `remove` they are deleted (the upload provider removes their formats too).
+ */
+async function cleanupUploads({ remove = false } = {}) {
+  console.log(`🌍 Running in ${MODE.toUpperCase()} mode`);
+  console.log(`📡 Base URL: ${STRAPI_BASE}`);
+
+  const files = await fetchAllFiles();
+  const orphans = files.filter((f) => !Array.isArray(f.related) || f.related.length === 0);
+  const totalKb = orphans.reduce((sum, f) => sum + (f.size || 0), 0);
+
+  console.log(`📂 ${files.length} uploaded file(s), ${orphans.length} not used anywhere (${formatSize(totalKb)})`);
+  for (const f of orphans) {
+    console.log(`   • #${f.id} ${f.name} (${formatSize(f.size)}, uploaded ${(f.createdAt || "").slice(0, 10)})`);
+  }
+
+  const result = { total: files.length, orphans: orphans.length, deleted: 0, failed: 0 };
+  if (!remove) {
+    if (orphans.length) console.log("ℹ️ Dry run — pass --delete to remove them");
+    return result;
+  }
+
+  for (const f of orphans) {
+    try {
+      await fetchJson(`${UPLOAD_URL}/files/${f.id}`, { method: "DELETE" });
+      result.deleted++;
+      console.log(`🗑️ Deleted #${f.id} ${f.name}`);
+    } catch (err) {
+      result.failed++;
+      console.error(`❌ Could not delete #${f.id} ${f.name}:`, err.message);
+    }
+  }
+
+  console.log(`✅ Deleted ${result.deleted} file(s)${result.failed ? `, ${result.failed} failed` : ""}`);
+  return result;
+}
+
+module.exports = { cleanupUploads };
+
+if (require.main === module) {
+  cleanupUploads({ remove: process.argv.includes("--delete") }).catch((err) => {
+    console.error("❌ Cleanup failed:", err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,11 @@
+export default ({ env }) => ({
+  seed: {
+    // Upsert amenitiesEnrichment.json into the amenity collection on start.
+    onBootstrap: env.bool('AMENITIES_SEED_ON_BOOTSTRAP', false),
+    catalogue: 'amenitiesEnrichment.json',
+    // Category names, display order and the amenity slugs in each.
+    categories: 'amenityCategories.json',
+    // Icon files named in the catalogue, relative to the project root.
+    iconsDir: env('AMENITIES_ICONS_DIR', 'Icons'),
+  },
+});
@@ -0,0 +1,19 @@
+export default () => ({
+  // Bumped whenever the shape of `itinerary_data` changes.
+  schemaVersion: 1,
+  maxStops: 30,
+  maxNightsPerStop: 60,
+  defaultTravellers: 2,
+  maxTravellers: 20,
+  currency: 'ZAR',
+  suggest: {
+    // How much each candidate stop is rewarded for moving towards the end
+    // point versus matching the traveller's vibe.
+    weights: {
+      progress: 0.6,
+      vibe: 0.4,
+    },
+    maxNights: 60,
+    maxDailyKm: 1500,
+  },
+});
@@ -0,0 +1,4 @@
+export default ({ env }) => ({
+  // `email` sends through the email plugin; `log` only writes to the log.
+  driver: env('NOTIFICATIONS_DRIVER', env('NODE_ENV') === 'production' ? 'email' : 'log'),
+});
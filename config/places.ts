@@ -0,0 +1,60 @@
+export default ({ env }) => ({
+  // Upper bounds (rand per person) of the price_pp bands; the last band is open-ended.
+  priceBands: [150, 300, 500, 800],
+  // Southern Hemisphere seasons by calendar month.
+  seasons: {
+    Summer: [12, 1, 2],
+    Autumn: [3, 4, 5],
+    Winter: [6, 7, 8],
+    Spring: [9, 10, 11],
+  },
+  nearby: {
+    defaultRadiusKm: env.int('PLACES_NEARBY_DEFAULT_RADIUS_KM', 50),
+    maxRadiusKm: env.int('PLACES_NEARBY_MAX_RADIUS_KM', 500),
+    defaultLimit: 25,
+    maxLimit: 100,
+  },
+  map: {
+    // At or above this zoom every place is returned as an individual pin.
+    clusterMaxZoom: env.int('PLACES_MAP_CLUSTER_MAX_ZOOM', 12),
+    cellSizePx: 80,
+    sampleSize: 3,
+  },
+  vibe: {
+    // Matches scoring below this (0–100) are dropped from results.
+    minScore: env.int('PLACES_VIBE_MIN_SCORE', 0),
+    topSliders: 3,
+    defaultLimit: 20,
+    maxLimit: 100,
+  },
+  similar: {
+    // Relative weights; they do not need to add up to 1.
+    weights: {
+      amenities: 3,
+      tags: 2,
+      vibe: 3,
+      price: 1,
+      distance: 1,
+    },
+    // Places further apart than this get no proximity credit.
+    maxDistanceKm: 300,
+    ttlSeconds: env.int('PLACES_SIMILAR_CACHE_TTL', 600),
+    defaultLimit: 6,
+    maxLimit: 24,
+  },
+  inSeason: {
+    defaultLimit: 25,
+    maxLimit: 100,
+  },
+  search: {
+    // Rebuild the full-text index on every start, not only when it is created.
+    rebuildOnBootstrap: env.bool('PLACES_SEARCH_REBUILD_ON_BOOTSTRAP', true),
+    snippetLength: 160,
+    defaultLimit: 20,
+    maxLimit: 50,
+  },
+  reviews: {
+    defaultLimit: 10,
+    maxLimit: 50,
+  },
+});
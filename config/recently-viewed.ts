@@ -0,0 +1,5 @@
+export default ({ env }) => ({
+  // History kept per user; the oldest entries are dropped beyond this.
+  maxEntries: env.int('RECENTLY_VIEWED_MAX', 20),
+  defaultLimit: 20,
+});
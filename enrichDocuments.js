@@ -2,6 +2,18 @@
 const fs = require("fs");
 const path = require("path");
 const fetch = require("node-fetch");
+const {
+  normStr,
+  normNum,
+  mergeRates,
+  mergeTags,
+  mergeRepeatable,
+  mergeAmenities,
+  createAmenityResolver,
+  groupAmenitiesByCategory,
+  buildFacilitiesSummary,
+  arraysEqual,
+} = require("./placeMerge");
 require("dotenv").config();
 
 // =========================
@@ -44,8 +56,11 @@ async function fetchJSON(url) {
   return json;
 }
 
+// Enrichment is written to the draft: a plain PUT would also publish, which
+// Strapi refuses while a photo lacks attribution and which would push any
+// pending editor changes live
 async function updateByDocumentId(endpoint, documentId, payload) {
-  const res = await fetch(`${STRAPI_API_URL}/${endpoint}/${documentId}`, {
+  const res = await fetch(`${STRAPI_API_URL}/${endpoint}/${documentId}?status=draft`, {
     method: "PUT",
     headers: authHeaders,
     body: JSON.stringify({ data: payload }),
@@ -55,57 +70,16 @@ async function updateByDocumentId(endpoint, documentId, payload) {
   return json;
 }
 
-// =========================
-// MERGE HELPERS
-// =========================
-const normStr = (v) => (v ?? "").toString().trim();
-const normNum = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
-
-function mergeRates(existing = [], incoming = []) {
-  const map = new Map();
-  for (const r of existing) {
-    const amount = normNum(r.amount);
-    const unit = normStr(r.unit);
-    map.set(`${amount}|${unit.toLowerCase()}`, { amount, unit });
-  }
-  for (const r of incoming) {
-    if (!r) continue;
-    const amount = normNum(r.amount);
-    const unit = normStr(r.unit);
-    if (amount === null && !unit) continue;
-    map.set(`${amount}|${unit.toLowerCase()}`, { amount, unit });
-  }
-  return Array.from(map.values());
-}
-
-function mergeTags(existing = [], incoming = []) {
-  const set = new Map();
-  for (const t of existing) {
-    const label = normStr(t.label);
-    if (label) set.set(label.toLowerCase(), { label });
-  }
-  for (const t of incoming) {
-    if (!t) continue;
-    const label = normStr(t.label);
-    if (label) set.set(label.toLowerCase(), { label });
-  }
-  return Array.from(set.values());
-}
-
-function mergeRepeatable(existing = [], incoming = [], keyFields = ["title", "description"]) {
-  const norm = (obj) => {
-    const res = {};
-    for (const k of keyFields) {
-      if (obj[k] !== undefined) res[k] = normStr(obj[k]);
-    }
-    return res;
-  };
-  const incomingNorm = incoming.map(norm).filter((o) => Object.keys(o).length > 0);
-  return incomingNorm.length > 0 ? incomingNorm : existing.map(norm);
-}
-
-function arraysEqual(a, b) {
-  return JSON.stringify(a) === JSON.stringify(b);
+// Puts an amenity no slug, alias or fuzzy match resolved into the review queue
+async function queueUnmatchedAmenity(requested, placeSlug, suggestions) {
+  const res = await fetch(`${STRAPI_API_URL}/unmatched-amenities/report`, {
+    method: "POST",
+    headers: authHeaders,
+    body: JSON.stringify({ data: { requested, place_slug: placeSlug, suggestions } }),
+  });
+  const json = await res.json();
+  if (!res.ok) throw new Error(JSON.stringify(json));
+  return json;
 }
 
 // =========================
@@ -144,7 +118,8 @@ async function enrichDocuments(enrichmentInput, folder = null) {
   // 1) Build amenity map
   // =========================
   const amRes = await fetchJSON(
-    `${STRAPI_API_URL}/amenities?pagination[pageSize]=200&fields[0]=id&fields[1]=documentId&fields[2]=slug`
+    `${STRAPI_API_URL}/amenities?pagination[pageSize]=200&fields[0]=id&fields[1]=documentId&fields[2]=slug&fields[3]=name&fields[4]=aliases` +
+      `&populate[category][fields][0]=slug&populate[category][fields][1]=name&populate[category][fields][2]=display_order`
   );
 
   const amenityMap = new Map();
@@ -152,8 +127,17 @@ async function enrichDocuments(enrichmentInput, folder = null) {
     const slug = a.slug ?? a.attributes?.slug;
     const id = a.id ?? a.attributes?.id;
     const documentId = a.documentId ?? a.attributes?.documentId;
-    if (slug) amenityMap.set(slug, { id, documentId, slug });
+    const name = a.name ?? a.attributes?.name;
+    const aliases = a.aliases ?? a.attributes?.aliases;
+    const category = a.category ?? a.attributes?.category ?? null;
+    if (slug) amenityMap.set(slug, { id, documentId, slug, name, aliases, category });
   }
+  const resolveAmenity = createAmenityResolver(Array.from(amenityMap.values()));
+
+  // Batch report: "requested -> slug" matches made through an alias or fuzzily,
+  // and slugs that went to the review queue
+  const aliasesUsed = new Map(); // requested -> { slug, via, places }
+  const queued = new Map(); // requested -> places
 
   const placeItems = enrichment.places || [];
   console.log(`🔎 Enriching ${placeItems.length} place(s)`);
@@ -187,7 +171,8 @@ for (const item of placeItems) {
     `&populate[unexpected]=*` +
     `&populate[vibeprofile]=*` +
     `&populate[seasonalguide]=*` +
-    `&fields[0]=id&fields[1]=documentId&fields[2]=slug&fields[3]=name&fields[4]=province&fields[5]=region&fields[6]=price_pp`;
+    `&fields[0]=id&fields[1]=documentId&fields[2]=slug&fields[3]=name&fields[4]=province&fields[5]=region&fields[6]=price_pp&fields[7]=facilities_summary` +
+    `&status=draft`;
 
   // Add retry loop in case Strapi takes a moment to index a newly created place
   let placeRes = null;
@@ -232,10 +217,8 @@ for (const item of placeItems) {
   const currentProvince = attrs.province || null;
   const currentRegion = attrs.region || null;
   const currentPricePP = attrs.price_pp ?? null;
+  const currentFacilitiesSummary = normStr(attrs.facilities_summary);
 
-  const currentAmenDocIds = currentAmenities
-    .map((a) => a.documentId ?? a.attributes?.documentId)
-    .filter(Boolean);
   const currentAmenIds = currentAmenities
     .map((a) => a.id ?? a.attributes?.id)
     .filter((v) => Number.isInteger(v));
@@ -244,24 +227,44 @@ for (const item of placeItems) {
     // 3) Resolve amenity slugs
     // =========================
     const requestedSlugs = Array.isArray(item.amenities) ? item.amenities : [];
-    const missing = [];
-    const targetDocIds = [];
-    const targetIds = [];
-
-    for (const s of requestedSlugs) {
-      const m = amenityMap.get(s);
-      if (!m) missing.push(s);
-      else {
-        if (m.documentId) targetDocIds.push(m.documentId);
-        if (Number.isInteger(m.id)) targetIds.push(m.id);
+    const currentAmenSlugs = currentAmenities
+      .map((a) => a.slug ?? a.attributes?.slug)
+      .filter(Boolean);
+    const placeSlug = attrs.slug || slug;
+
+    const resolvedSlugs = [];
+    for (const requested of requestedSlugs) {
+      const match = resolveAmenity(requested);
+      if (!match.slug) {
+        if (!match.requested) continue;
+        try {
+          await queueUnmatchedAmenity(match.requested, placeSlug, match.suggestions);
+          console.warn(
+            `📝 Queued unknown amenity for review: ${match.requested}` +
+              (match.suggestions.length ? ` (maybe ${match.suggestions.join(", ")})` : "")
+          );
+        } catch (err) {
+          console.warn(`⚠️ Could not queue unknown amenity "${match.requested}": ${err.message}`);
+        }
+        if (!queued.has(match.requested)) queued.set(match.requested, []);
+        queued.get(match.requested).push(placeSlug);
+        continue;
+      }
+      if (match.via !== "slug") {
+        console.log(`🔁 Amenity "${match.requested}" → ${match.slug} (${match.via})`);
+        const used = aliasesUsed.get(match.requested) || { slug: match.slug, via: match.via, places: [] };
+        used.places.push(placeSlug);
+        aliasesUsed.set(match.requested, used);
       }
+      resolvedSlugs.push(match.slug);
     }
 
-    if (missing.length)
-      console.warn(`⚠️ Missing amenities (not found by slug): ${missing.join(", ")}`);
+    const { toConnect } = mergeAmenities(currentAmenSlugs, resolvedSlugs, new Set(amenityMap.keys()));
 
-    const toConnectDocIds = targetDocIds.filter((d) => !currentAmenDocIds.includes(d));
-    const toConnectIds = targetIds.filter((n) => !currentAmenIds.includes(n));
+    const toConnectDocIds = toConnect.map((s) => amenityMap.get(s).documentId).filter(Boolean);
+    const toConnectIds = toConnect
+      .map((s) => amenityMap.get(s).id)
+      .filter((n) => Number.isInteger(n));
 
     // =========================
     // 4) Build payload
@@ -283,6 +286,13 @@ for (const item of placeItems) {
       if (typeof item[key] === "string") payload[key] = item[key];
     }
 
+    // No summary written for this place yet: build one from its amenities by category
+    if (typeof item.facilities_summary !== "string" && !currentFacilitiesSummary) {
+      const placeAmenities = [...currentAmenSlugs, ...toConnect].map((s) => amenityMap.get(s)).filter(Boolean);
+      const summary = buildFacilitiesSummary(groupAmenitiesByCategory(placeAmenities));
+      if (summary) payload.facilities_summary = summary;
+    }
+
     if (typeof item.featured === "boolean") payload.featured = item.featured;
     if (typeof item.province === "string" && !currentProvince) payload.province = item.province;
     if (typeof item.region === "string" && !currentRegion) payload.region = item.region;
@@ -359,7 +369,7 @@ for (const item of placeItems) {
       const unionIds = Array.from(new Set([...currentAmenIds, ...toConnectIds]));
       const fallback = { ...payload };
       if (toConnectDocIds.length > 0) fallback.amenities = unionIds;
-      const r = await fetch(`${STRAPI_API_URL}/places/${placeDocId}`, {
+      const r = await fetch(`${STRAPI_API_URL}/places/${placeDocId}?status=draft`, {
         method: "PUT",
         headers: authHeaders,
         body: JSON.stringify({ data: fallback }),
@@ -371,6 +381,19 @@ for (const item of placeItems) {
     }
   }
 
+  if (aliasesUsed.size) {
+    console.log("🔁 Amenity aliases used:");
+    for (const [requested, { slug, via, places }] of aliasesUsed) {
+      console.log(`   ${requested} → ${slug} (${via}, ${places.length} place(s))`);
+    }
+  }
+  if (queued.size) {
+    console.log("📝 Amenities queued for review:");
+    for (const [requested, places] of queued) {
+      console.log(`   ${requested} (${places.join(", ")})`);
+    }
+  }
+
   console.log("🏁 Enrichment done");
   return updated;
 }
@@ -0,0 +1,105 @@
+// harvestAdapters/common.js — Helpers shared by the harvest adapters
+//
+// Every adapter resolves to a list of harvested records:
+//   { place, raw, photos }
+// - place:  place.json fields; `photos` stays empty until the harvester
+//           has saved the files
+// - raw:    the untouched source record, saved next to place.json
+// - photos: [{ url | file, width, height, attribution_html, attribution_text,
+//             author_name, author_url, license }] (see photoCredits.js)
+//
+// Adapters also expose replay(raw, { harvestedAt, file, folder }), which
+// maps a cached raw record the same way without any network or file access.
+
+// =======================
+// HELPERS
+// =======================
+function slugFolder(str) {
+  return str.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
+}
+function slugKebab(str) {
+  return str.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$|/g, "");
+}
+function stripHtml(html = "") {
+  return html.replace(/<[^>]*>/g, "").trim();
+}
+
+// 👇 cleaner: empty string → null
+function cleanField(v) {
+  return v && String(v).trim() !== "" ? String(v).trim() : null;
+}
+
+function toNumber(v) {
+  if (v === null || v === undefined || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// First non-empty value among several possible column / key names
+function pick(record, keys) {
+  for (const key of keys) {
+    const v = cleanField(record[key]);
+    if (v !== null) return v;
+  }
+  return null;
+}
+
+// "a.jpg | b.jpg; c.jpg" → ["a.jpg", "b.jpg", "c.jpg"]
+function splitList(v) {
+  if (Array.isArray(v)) return v.map(cleanField).filter(Boolean);
+  return (cleanField(v) || "").split(/[|;]/).map((s) => s.trim()).filter(Boolean);
+}
+
+// =======================
+// PLACE SHAPE
+// =======================
+/**
+ * Fills in the place.json shape with defaults so every adapter outputs
+ * the same keys: name, slug, coordinates, contact, reviews, source, …
+ * `source.harvestedAt` pins the harvest date when replaying a cached record.
+ */
+function buildPlace(fields, source) {
+  const name = cleanField(fields.name) || "unknown_place";
+  const harvestedAt = source.harvestedAt || new Date().toISOString();
+  return {
+    place_id: cleanField(fields.place_id),
+    name,
+    slug: cleanField(fields.slug) || slugKebab(name),
+    province: cleanField(fields.province) || "",
+    region: "", // left blank — handled in enrich
+    town: cleanField(fields.town) || "",
+    address: cleanField(fields.address) || "",
+    opening_hours: cleanField(fields.opening_hours) || "",
+    rating: toNumber(fields.rating),
+    total_reviews: toNumber(fields.total_reviews) ?? 0,
+    // OPERATIONAL, CLOSED_TEMPORARILY or CLOSED_PERMANENTLY when the source knows
+    business_status: cleanField(fields.business_status),
+    description:
+      cleanField(fields.description) ||
+      `Auto imported from ${source.label} on ${harvestedAt.slice(0, 10)} for ${name}.`,
+    latitude: toNumber(fields.latitude),
+    longitude: toNumber(fields.longitude),
+    contact: {
+      phone: cleanField(fields.contact?.phone),
+      email: cleanField(fields.contact?.email),
+      website: cleanField(fields.contact?.website),
+      booking_url: cleanField(fields.contact?.booking_url),
+      google_info: cleanField(fields.contact?.google_info),
+      whatsapp: cleanField(fields.contact?.whatsapp),
+    },
+    photos: [], // filled in by the harvester once files are saved
+    reviews: Array.isArray(fields.reviews) ? fields.reviews : [],
+    source: { ...source.details, adapter: source.adapter, harvested_at: harvestedAt },
+  };
+}
+
+module.exports = {
+  slugFolder,
+  slugKebab,
+  stripHtml,
+  cleanField,
+  toNumber,
+  pick,
+  splitList,
+  buildPlace,
+};
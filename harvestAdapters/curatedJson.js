@@ -0,0 +1,73 @@
+// harvestAdapters/curatedJson.js — Manually curated JSON file
+//
+// Either an array of places or { places: [...] }, written in (roughly) the
+// place.json shape. Photos may be URLs, or paths relative to the JSON file,
+// as strings or { url | file, credit, author_url, license }.
+
+const fs = require("fs");
+const path = require("path");
+const { cleanField, buildPlace } = require("./common");
+const { normaliseLicense } = require("../photoCredits");
+
+function toPhoto(p, baseDir) {
+  const ref = typeof p === "string" ? p : p?.url || p?.file;
+  if (!cleanField(ref)) return null;
+  return {
+    ...(/^https?:\/\//i.test(ref) ? { url: ref } : { file: path.resolve(baseDir, ref) }),
+    width: p?.width ?? null,
+    height: p?.height ?? null,
+    attribution_html: p?.attribution_html || "",
+    attribution_text: p?.attribution_text || p?.credit || "",
+    author_name: cleanField(p?.author_name || p?.author || p?.credit),
+    author_url: cleanField(p?.author_url),
+    license: normaliseLicense(p?.license),
+  };
+}
+
+// Maps one curated entry to a harvested record
+function fromEntry(entry, { baseDir, file, harvestedAt }) {
+  const place = buildPlace(
+    {
+      ...entry,
+      latitude: entry.latitude ?? entry.lat ?? entry.coordinates?.lat,
+      longitude: entry.longitude ?? entry.lng ?? entry.coordinates?.lng,
+      contact: { ...entry.contact, booking_url: entry.contact?.booking_url || entry.contact?.website },
+    },
+    {
+      adapter: "curated",
+      label: "our curated list",
+      harvestedAt,
+      details: { file: file ? path.basename(file) : null, curated_by: cleanField(entry.curated_by) },
+    }
+  );
+
+  const photos = (Array.isArray(entry.photos) ? entry.photos : []).map((p) => toPhoto(p, baseDir)).filter(Boolean);
+  return { place, raw: entry, photos };
+}
+
+async function harvest(file) {
+  const filePath = path.resolve(file || "");
+  if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+
+  const json = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  const entries = Array.isArray(json) ? json : json.places || [];
+  const records = [];
+  for (const [i, entry] of entries.entries()) {
+    if (!cleanField(entry?.name)) {
+      console.warn(`⚠️ Skipping entry ${i}: no name`);
+      continue;
+    }
+    records.push(fromEntry(entry, { baseDir: path.dirname(filePath), file: filePath }));
+  }
+  return records;
+}
+
+module.exports = {
+  name: "curated",
+  description: "Manually curated JSON file",
+  input: "<file.json>",
+  rawFile: "curated_raw.json",
+  harvest,
+  replay: (raw, { harvestedAt, file, folder } = {}) => fromEntry(raw, { baseDir: folder || ".", file, harvestedAt }),
+  fromEntry,
+};
@@ -0,0 +1,127 @@
+// harvestAdapters/google.js — Google Places Details API (by place_id)
+
+const { stripHtml, cleanField, buildPlace } = require("./common");
+const { parseAttributionHtml } = require("../photoCredits");
+
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
+const MAX_PHOTOS = 10;
+
+const FIELDS = [
+  "name",
+  "place_id",
+  "formatted_address",
+  "address_component",
+  "geometry/location",
+  "url",
+  "website",
+  "formatted_phone_number",
+  "international_phone_number",
+  "rating",
+  "user_ratings_total",
+  "business_status",
+  "photos",
+  "reviews",
+  "opening_hours",
+  "type",
+  "editorial_summary",
+].join(",");
+
+function first(comp, type) {
+  return comp.find((c) => c.types.includes(type)) || null;
+}
+
+const photoUrl = (photoRef) =>
+  `https://maps.googleapis.com/maps/api/place/photo?maxwidth=1600&photo_reference=${encodeURIComponent(
+    photoRef
+  )}&key=${GOOGLE_API_KEY}`;
+
+// Maps a Place Details response to a harvested record
+function fromGoogle(json, { harvestedAt } = {}) {
+  const r = json.result;
+  const lat = r.geometry?.location?.lat ?? null;
+  const lng = r.geometry?.location?.lng ?? null;
+
+  const googleUrl =
+    r.url ||
+    `https://www.google.com/maps/search/?api=1&query=${lat},${lng}&query_place_id=${r.place_id}`;
+
+  const place = buildPlace(
+    {
+      place_id: r.place_id,
+      name: r.name,
+      // Province + town only — region left blank for enrich
+      province: first(r.address_components || [], "administrative_area_level_1")?.long_name,
+      town: first(r.address_components || [], "locality")?.long_name,
+      address: r.formatted_address,
+      opening_hours: Array.isArray(r.opening_hours?.weekday_text) ? r.opening_hours.weekday_text.join("; ") : "",
+      rating: r.rating,
+      total_reviews: r.user_ratings_total,
+      business_status: r.business_status,
+      description: r.editorial_summary?.overview,
+      latitude: lat,
+      longitude: lng,
+      contact: {
+        phone: r.formatted_phone_number || r.international_phone_number,
+        email: null, // Google Places doesn’t provide email
+        website: r.website,
+        booking_url: r.website,
+        google_info: googleUrl, // always has value
+      },
+      reviews: (Array.isArray(r.reviews) ? r.reviews : []).map((rv) => ({
+        author_name: rv.author_name || "",
+        rating: rv.rating ?? null,
+        text: rv.text || "",
+        review_time: rv.relative_time_description || "",
+        author_photo_url: rv.profile_photo_url || "",
+        author_photo_local: null,
+      })),
+    },
+    {
+      adapter: "google",
+      label: "Google Places",
+      harvestedAt,
+      details: { types: r.types || [], opening_hours: r.opening_hours || null, google_place_url: googleUrl },
+    }
+  );
+
+  const photos = (Array.isArray(r.photos) ? r.photos.slice(0, MAX_PHOTOS) : []).map((p) => ({
+    url: photoUrl(p.photo_reference),
+    width: p.width,
+    height: p.height,
+    attribution_html: (p.html_attributions || [])[0] || "",
+    attribution_text: stripHtml((p.html_attributions || [])[0] || ""),
+    ...parseAttributionHtml((p.html_attributions || [])[0]),
+    license: "google_maps",
+  }));
+
+  return { place, raw: json, photos };
+}
+
+async function harvest(placeId) {
+  if (!GOOGLE_API_KEY) throw new Error("Missing GOOGLE_API_KEY. Please set it in your .env file.");
+  const id = cleanField(placeId);
+  if (!id) throw new Error("Google adapter needs a place_id");
+
+  const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${encodeURIComponent(
+    id
+  )}&fields=${FIELDS}&key=${GOOGLE_API_KEY}`;
+
+  const res = await fetch(url);
+  const json = await res.json();
+
+  if (!json.result) {
+    console.error("❌ No place data:", JSON.stringify(json, null, 2));
+    throw new Error("No place data returned from Google");
+  }
+  return [fromGoogle(json)];
+}
+
+module.exports = {
+  name: "google",
+  description: "Google Places Details API",
+  input: "<google_place_id>",
+  rawFile: "google_raw.json",
+  harvest,
+  replay: (raw, { harvestedAt } = {}) => fromGoogle(raw, { harvestedAt }),
+  fromGoogle,
+};
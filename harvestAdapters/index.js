@@ -0,0 +1,23 @@
+// harvestAdapters/index.js — Registry of place-data sources for harvestPlace.js
+//
+// An adapter is { name, description, input, rawFile, harvest(input) }, where
+// harvest resolves to [{ place, raw, photos }] (see common.js).
+
+const adapters = [
+  require("./google"),
+  require("./parkCsv"),
+  require("./curatedJson"),
+  require("./osm"),
+];
+
+const byName = new Map(adapters.map((a) => [a.name, a]));
+
+function getAdapter(name) {
+  const adapter = byName.get(name);
+  if (!adapter) {
+    throw new Error(`Unknown source "${name}". Available: ${adapters.map((a) => a.name).join(", ")}`);
+  }
+  return adapter;
+}
+
+module.exports = { adapters, getAdapter };
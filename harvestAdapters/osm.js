@@ -0,0 +1,131 @@
+// harvestAdapters/osm.js — OpenStreetMap extract on disk
+//
+// Reads an Overpass API JSON export ({ elements: [...] }) or a GeoJSON
+// FeatureCollection (e.g. from overpass-turbo or osmium export). Only
+// named campsites / caravan sites are kept. Convert .pbf extracts first:
+//   osmium tags-filter extract.pbf tourism=camp_site,caravan_site -o camps.pbf
+//   osmium export camps.pbf -o camps.geojson
+
+const fs = require("fs");
+const path = require("path");
+const { cleanField, buildPlace } = require("./common");
+
+const TOURISM = new Set(["camp_site", "caravan_site", "camp_pitch"]);
+
+// Overpass elements and GeoJSON features as { id, tags, lat, lon }
+function elementsOf(json) {
+  if (Array.isArray(json.elements)) {
+    return json.elements.map((e) => ({
+      id: `${e.type}/${e.id}`,
+      tags: e.tags || {},
+      lat: e.lat ?? e.center?.lat ?? null,
+      lon: e.lon ?? e.center?.lon ?? null,
+    }));
+  }
+  if (Array.isArray(json.features)) {
+    return json.features.map((f) => {
+      const props = f.properties || {};
+      const [lon, lat] = centroid(f.geometry);
+      return { id: props["@id"] || f.id || null, tags: props.tags || props, lat, lon };
+    });
+  }
+  throw new Error("Unrecognised OSM file: expected Overpass JSON (elements) or GeoJSON (features)");
+}
+
+// Point coordinates, or the average of a line / polygon's outer ring
+function centroid(geometry) {
+  if (!geometry) return [null, null];
+  if (geometry.type === "Point") return geometry.coordinates;
+  const ring =
+    geometry.type === "Polygon"
+      ? geometry.coordinates[0]
+      : geometry.type === "MultiPolygon"
+      ? geometry.coordinates[0][0]
+      : geometry.type === "LineString"
+      ? geometry.coordinates
+      : [];
+  if (!ring.length) return [null, null];
+  const sum = ring.reduce((acc, [x, y]) => [acc[0] + x, acc[1] + y], [0, 0]);
+  return [sum[0] / ring.length, sum[1] / ring.length];
+}
+
+const addressOf = (tags) =>
+  [
+    [tags["addr:housenumber"], tags["addr:street"]].filter(Boolean).join(" "),
+    tags["addr:city"] || tags["addr:place"],
+    tags["addr:postcode"],
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+// Maps one OSM element to a harvested record
+function fromElement(el, { file, harvestedAt }) {
+  const t = el.tags;
+  const place = buildPlace(
+    {
+      name: t.name,
+      province: t["addr:province"] || t["addr:state"],
+      town: t["addr:city"] || t["addr:place"],
+      address: addressOf(t),
+      opening_hours: t.opening_hours,
+      description: t.description,
+      latitude: el.lat,
+      longitude: el.lon,
+      contact: {
+        phone: t.phone || t["contact:phone"],
+        email: t.email || t["contact:email"],
+        website: t.website || t["contact:website"],
+        booking_url: t["reservation:website"] || t.website || t["contact:website"],
+      },
+    },
+    {
+      adapter: "osm",
+      label: "OpenStreetMap",
+      harvestedAt,
+      details: {
+        id: el.id,
+        tourism: t.tourism || null,
+        osm_url: el.id && /^(node|way|relation)\//.test(el.id) ? `https://www.openstreetmap.org/${el.id}` : null,
+        license: "ODbL — © OpenStreetMap contributors",
+        file: file ? path.basename(file) : null,
+      },
+    }
+  );
+
+  const photos = cleanField(t.image)
+    ? [
+        {
+          url: t.image,
+          width: null,
+          height: null,
+          attribution_html: "",
+          attribution_text: "",
+          // The image tag says nothing about who took it or its license
+          author_name: null,
+          author_url: null,
+          license: null,
+        },
+      ]
+    : [];
+  return { place, raw: el, photos };
+}
+
+async function harvest(file) {
+  const filePath = path.resolve(file || "");
+  if (!fs.existsSync(filePath)) throw new Error(`File not found: ${filePath}`);
+
+  const elements = elementsOf(JSON.parse(fs.readFileSync(filePath, "utf-8")));
+  return elements
+    .filter((el) => cleanField(el.tags.name) && (!el.tags.tourism || TOURISM.has(el.tags.tourism)))
+    .map((el) => fromElement(el, { file: filePath }));
+}
+
+module.exports = {
+  name: "osm",
+  description: "OpenStreetMap extract (Overpass JSON or GeoJSON)",
+  input: "<file.json|file.geojson>",
+  rawFile: "osm_raw.json",
+  harvest,
+  replay: (raw, { harvestedAt, file } = {}) => fromElement(raw, { file, harvestedAt }),
+  fromElement,
+};
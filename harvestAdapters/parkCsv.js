@@ -0,0 +1,114 @@
+// harvestAdapters/parkCsv.js — Park authority CSV export (one campsite per row)
+//
+// Column names vary between authorities, so each field is read from the
+// first matching column (case-insensitive). Photo columns hold URLs or
+// paths relative to the CSV, separated by "|" or ";".
+
+const fs = require("fs");
+const path = require("path");
+const csv = require("csv-parser");
+const { pick, splitList, buildPlace } = require("./common");
+const { normaliseLicense } = require("../photoCredits");
+
+const COLUMNS = {
+  id: ["id", "site_id", "park_id", "reference", "code"],
+  name: ["name", "site_name", "campsite", "camp_name", "park_name"],
+  park: ["park", "reserve", "park_name"],
+  province: ["province", "state", "region"],
+  town: ["town", "nearest_town", "city"],
+  address: ["address", "physical_address", "location"],
+  latitude: ["latitude", "lat", "gps_lat", "y"],
+  longitude: ["longitude", "lng", "lon", "long", "gps_lon", "x"],
+  phone: ["phone", "telephone", "tel", "contact_number"],
+  email: ["email", "e_mail", "contact_email"],
+  website: ["website", "url", "web"],
+  booking_url: ["booking_url", "bookings", "reservations", "booking"],
+  opening_hours: ["opening_hours", "hours", "gate_hours", "gate_times"],
+  description: ["description", "notes", "about"],
+  photos: ["photos", "photo_urls", "images", "image"],
+  photo_credit: ["photo_credit", "credit", "attribution"],
+  photo_license: ["photo_license", "license", "licence"],
+};
+
+function readCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    if (!fs.existsSync(filePath)) return reject(new Error(`File not found: ${filePath}`));
+    fs.createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, "_") }))
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+}
+
+// Maps one CSV row to a harvested record
+function fromRow(row, { baseDir, file, harvestedAt }) {
+  const get = (field) => pick(row, COLUMNS[field]);
+  const park = get("park");
+  const name = get("name");
+  const credit = get("photo_credit") || "";
+  const license = normaliseLicense(get("photo_license"));
+
+  const place = buildPlace(
+    {
+      name,
+      province: get("province"),
+      town: get("town"),
+      address: get("address"),
+      opening_hours: get("opening_hours"),
+      description: get("description"),
+      latitude: get("latitude"),
+      longitude: get("longitude"),
+      contact: {
+        phone: get("phone"),
+        email: get("email"),
+        website: get("website"),
+        booking_url: get("booking_url") || get("website"),
+      },
+    },
+    {
+      adapter: "park-csv",
+      label: "the park authority export",
+      harvestedAt,
+      details: { id: get("id"), park: park !== name ? park : null, file: file ? path.basename(file) : null },
+    }
+  );
+
+  const photos = splitList(get("photos")).map((ref) => ({
+    ...(/^https?:\/\//i.test(ref) ? { url: ref } : { file: path.resolve(baseDir, ref) }),
+    width: null,
+    height: null,
+    attribution_html: "",
+    attribution_text: credit,
+    author_name: credit || null,
+    author_url: null,
+    license,
+  }));
+
+  return { place, raw: row, photos };
+}
+
+async function harvest(file) {
+  const filePath = path.resolve(file || "");
+  const rows = await readCsv(filePath);
+  const records = [];
+  for (const [i, row] of rows.entries()) {
+    if (!pick(row, COLUMNS.name)) {
+      console.warn(`⚠️ Skipping row ${i + 2}: no name column`);
+      continue;
+    }
+    records.push(fromRow(row, { baseDir: path.dirname(filePath), file: filePath }));
+  }
+  return records;
+}
+
+module.exports = {
+  name: "park-csv",
+  description: "Park authority CSV export",
+  input: "<file.csv>",
+  rawFile: "park_csv_raw.json",
+  harvest,
+  replay: (raw, { harvestedAt, file, folder } = {}) => fromRow(raw, { baseDir: folder || ".", file, harvestedAt }),
+  fromRow,
+};
@@ -0,0 +1,175 @@
+// harvestDiff.js — Compare a re-harvested place with its previous snapshot and
+// its Strapi draft, used by reharvestPlace.js
+
+// =========================
+// FIELDS
+// =========================
+// place.json and Strapi share these names; contact.* lives in the first
+// entry of Strapi's repeatable contact component.
+const TRACKED_FIELDS = [
+  { field: "name" },
+  { field: "address" },
+  { field: "town" },
+  { field: "province" },
+  { field: "opening_hours" },
+  { field: "latitude", type: "coordinate" },
+  { field: "longitude", type: "coordinate" },
+  { field: "rating", type: "number" },
+  { field: "total_reviews", type: "number" },
+  { field: "contact.phone" },
+  { field: "contact.email" },
+  { field: "contact.website" },
+  { field: "contact.booking_url" },
+  { field: "contact.google_info" },
+];
+
+const RATING_JUMP = 0.3; // stars, either way
+const OPERATIONAL = "OPERATIONAL";
+
+const STATUS_LABELS = {
+  OPERATIONAL: "operational",
+  CLOSED_TEMPORARILY: "temporarily closed",
+  CLOSED_PERMANENTLY: "permanently closed",
+};
+
+// =========================
+// HELPERS
+// =========================
+const normStr = (v) => (v ?? "").toString().trim();
+
+function valueAt(place, field) {
+  if (!place) return null;
+  if (!field.startsWith("contact.")) return place[field] ?? null;
+  const contact = Array.isArray(place.contact) ? place.contact[0] : place.contact;
+  return contact ? contact[field.slice("contact.".length)] ?? null : null;
+}
+
+function normalize(value, type) {
+  if (type === "number" || type === "coordinate") {
+    if (value === null || value === undefined || value === "") return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+  return normStr(value) || null;
+}
+
+function same(a, b, type) {
+  if (a === null || b === null) return a === b;
+  if (type === "coordinate") return Math.abs(a - b) < 1e-6;
+  return a === b;
+}
+
+// =========================
+// DIFF
+// =========================
+/**
+ * previous: last place.json snapshot
+ * next:     freshly harvested place.json
+ * current:  the place's Strapi draft (contact populated), or null
+ *
+ * A field is pushed when the source changed it and Strapi still holds the
+ * old value (or nothing). When Strapi was edited by hand it is kept and
+ * the change is only reported.
+ */
+function diffHarvest({ previous, next, current }) {
+  const changes = [];
+  const updates = {}; // field (contact.* dotted) -> new value
+  let unchanged = 0;
+
+  for (const { field, type } of TRACKED_FIELDS) {
+    const before = normalize(valueAt(previous, field), type);
+    const after = normalize(valueAt(next, field), type);
+    const live = current ? normalize(valueAt(current, field), type) : null;
+
+    if (same(before, after, type)) {
+      unchanged++;
+      continue;
+    }
+
+    let action;
+    if (!current) action = "no-record";
+    else if (same(live, after, type)) action = "in-sync";
+    else if (live === null || same(live, before, type)) action = "push";
+    else action = "kept-manual-edit";
+
+    if (action === "push") updates[field] = after;
+    changes.push({ field, previous: before, next: after, current: live, action });
+  }
+
+  const flags = [];
+
+  const statusBefore = normStr(previous?.business_status) || OPERATIONAL;
+  const statusAfter = normStr(next?.business_status);
+  if (statusAfter && statusAfter !== statusBefore) {
+    flags.push({
+      type: "business_status",
+      previous: statusBefore,
+      next: statusAfter,
+      message: `Google now lists this place as ${STATUS_LABELS[statusAfter] || statusAfter} (was ${
+        STATUS_LABELS[statusBefore] || statusBefore
+      })`,
+    });
+  }
+
+  const ratingBefore = normalize(previous?.rating, "number");
+  const ratingAfter = normalize(next?.rating, "number");
+  if (ratingBefore !== null && ratingAfter !== null && Math.abs(ratingAfter - ratingBefore) >= RATING_JUMP) {
+    flags.push({
+      type: "rating_jump",
+      previous: ratingBefore,
+      next: ratingAfter,
+      message: `Rating moved ${ratingAfter > ratingBefore ? "up" : "down"} from ${ratingBefore} to ${ratingAfter}`,
+    });
+  }
+
+  return { changes, updates, flags, unchanged };
+}
+
+// =========================
+// REPORT
+// =========================
+const show = (v) => (v === null || v === undefined ? "—" : String(v).replace(/\|/g, "\\|").replace(/\n/g, " "));
+
+const ACTION_LABELS = {
+  push: "Pushed to the Strapi draft",
+  "in-sync": "Already in Strapi",
+  "kept-manual-edit": "Not pushed: edited in Strapi",
+  "no-record": "Not pushed: no Strapi record",
+};
+
+// Markdown change report for one place
+function formatChangeReport({ place, previous, diff, pushed, dryRun = false }) {
+  const lines = [];
+  lines.push(`# Re-harvest: ${place.name} (${place.slug})`, "");
+  lines.push(`- Harvested: ${normStr(place.source?.harvested_at) || "—"}`);
+  lines.push(`- Previous snapshot: ${normStr(previous?.source?.harvested_at) || "—"}`);
+  if (dryRun) lines.push("- Dry run: nothing was written to Strapi");
+  else if (pushed) lines.push("- Changes were saved to the Strapi draft and still need publishing");
+  lines.push("");
+
+  if (diff.flags.length) {
+    lines.push("## ⚠️ Needs review", "");
+    for (const flag of diff.flags) lines.push(`- ${flag.message}`);
+    lines.push("");
+  }
+
+  if (!diff.changes.length) {
+    lines.push(`No tracked field changed (${diff.unchanged} checked).`, "");
+    return lines.join("\n");
+  }
+
+  lines.push("## Changes", "");
+  lines.push("| Field | Before | Now | Strapi | Result |", "| --- | --- | --- | --- | --- |");
+  for (const c of diff.changes) {
+    const result = c.action === "push" && !pushed ? "To push (not sent)" : ACTION_LABELS[c.action];
+    lines.push(`| ${c.field} | ${show(c.previous)} | ${show(c.next)} | ${show(c.current)} | ${result} |`);
+  }
+  lines.push("", `${diff.unchanged} other tracked field(s) unchanged.`, "");
+  return lines.join("\n");
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  diffHarvest,
+  formatChangeReport,
+};
@@ -1,41 +1,34 @@
 // harvestPlace.js
-// Node 18+ only (uses built-in fetch). No external deps required.
+// Node 18+ only (uses built-in fetch).
+//
+// Harvests places into Places/<name>/place.json (+ photos and the raw source
+// record) from any adapter in harvestAdapters/:
+//   node harvestPlace.js <google_place_id>
+//   node harvestPlace.js --source park-csv parks.csv
+//   node harvestPlace.js --source curated curated.json
+//   node harvestPlace.js --source osm camps.geojson
+//   node harvestPlace.js --replay [Places/<folder> …]   (offline, all folders by default)
+//   node harvestPlace.js --list
 
 const fs = require("fs");
 const path = require("path");
 require('dotenv').config();
+const { slugFolder } = require("./harvestAdapters/common");
+const { adapters, getAdapter } = require("./harvestAdapters");
 
 
 // =======================
 // CONFIG
 // =======================
-const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-const MAX_PHOTOS = 10;
+const PLACES_DIR = path.join(__dirname, "Places");
 const SAVE_REVIEWER_PHOTOS = false;
 
 // =======================
 // HELPERS
 // =======================
-function slugFolder(str) {
-  return str.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_|_$/g, "");
-}
-function slugKebab(str) {
-  return str.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$|/g, "");
-}
 function ensureDir(p) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
 }
-function stripHtml(html = "") {
-  return html.replace(/<[^>]*>/g, "").trim();
-}
-function first(comp, type) {
-  return comp.find((c) => c.types.includes(type)) || null;
-}
-
-// 👇 cleaner: empty string → null
-function cleanField(v) {
-  return v && String(v).trim() !== "" ? String(v).trim() : null;
-}
 
 async function downloadBinaryTo(fileUrl, outPath) {
   const res = await fetch(fileUrl);
@@ -44,13 +37,14 @@ async function downloadBinaryTo(fileUrl, outPath) {
   fs.writeFileSync(outPath, buf);
 }
 
-async function downloadPhoto(photoRef, index, folder) {
-  const url = `https://maps.googleapis.com/maps/api/place/photo?maxwidth=1600&photo_reference=${encodeURIComponent(
-    photoRef
-  )}&key=${GOOGLE_API_KEY}`;
-  const filePath = path.join(folder, `photo_${index}.jpg`);
+// Downloads (url) or copies (file) one photo into the place folder
+async function savePhoto(photo, index, folder) {
+  const source = photo.file || new URL(photo.url).pathname;
+  const ext = /^\.(jpe?g|png|webp)$/.test(path.extname(source).toLowerCase()) ? path.extname(source).toLowerCase() : ".jpg";
+  const filePath = path.join(folder, `photo_${index}${ext}`);
   try {
-    await downloadBinaryTo(url, filePath);
+    if (photo.file) fs.copyFileSync(photo.file, filePath);
+    else await downloadBinaryTo(photo.url, filePath);
     console.log(`✅ Saved ${filePath}`);
     return filePath;
   } catch (e) {
@@ -71,151 +65,175 @@ async function downloadReviewerPhoto(avatarUrl, index, folder) {
 }
 
 // =======================
-// MAIN
+// WRITE ONE PLACE
 // =======================
-async function harvestPlace(placeId) {
-  const fields = [
-    "name",
-    "place_id",
-    "formatted_address",
-    "address_component",
-    "geometry/location",
-    "url",
-    "website",
-    "formatted_phone_number",
-    "international_phone_number",
-    "rating",
-    "user_ratings_total",
-    "photos",
-    "reviews",
-    "opening_hours",
-    "type",
-    "editorial_summary",
-  ].join(",");
-
-  const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${encodeURIComponent(
-    placeId
-  )}&fields=${fields}&key=${GOOGLE_API_KEY}`;
-
-  const res = await fetch(url);
-  const json = await res.json();
-
-  if (!json.result) {
-    console.error("❌ No place data:", JSON.stringify(json, null, 2));
-    throw new Error("No place data returned from Google");
-  }
-
-  const r = json.result;
-  const name = r.name || "unknown_place";
-  const folder = path.join(__dirname, "Places", slugFolder(name));
+async function writeRecord({ place, raw, photos }, adapter) {
+  const folder = path.join(PLACES_DIR, slugFolder(place.name));
   ensureDir(folder);
 
-  // Save raw Google response
-  fs.writeFileSync(path.join(folder, "google_raw.json"), JSON.stringify(json, null, 2));
-
-  const lat = r.geometry?.location?.lat ?? null;
-  const lng = r.geometry?.location?.lng ?? null;
-
-  // Province + town only — region left blank for enrich
-  const province = first(r.address_components || [], "administrative_area_level_1")?.long_name || "";
-  const town = first(r.address_components || [], "locality")?.long_name || "";
-  const address = r.formatted_address || "";
-  const opening_hours = Array.isArray(r.opening_hours?.weekday_text)
-    ? r.opening_hours.weekday_text.join("; ")
-    : "";
-
-  const slug = slugKebab(name);
-
-  const googleUrl =
-    r.url ||
-    `https://www.google.com/maps/search/?api=1&query=${lat},${lng}&query_place_id=${placeId}`;
+  // Save the raw source record
+  fs.writeFileSync(path.join(folder, adapter.rawFile), JSON.stringify(raw, null, 2));
 
   // Photos
-  const photos = Array.isArray(r.photos) ? r.photos.slice(0, MAX_PHOTOS) : [];
   const savedPhotoFiles = [];
   for (let i = 0; i < photos.length; i++) {
-    const file = await downloadPhoto(photos[i].photo_reference, i + 1, folder);
-    if (file) {
-      savedPhotoFiles.push({
-        file: path.basename(file),
-        width: photos[i].width,
-        height: photos[i].height,
-        attribution_html: (photos[i].html_attributions || [])[0] || "",
-        attribution_text: stripHtml((photos[i].html_attributions || [])[0] || ""),
-      });
-    }
+    const { url, file, ...meta } = photos[i];
+    const saved = await savePhoto(photos[i], i + 1, folder);
+    if (saved) savedPhotoFiles.push({ file: path.basename(saved), ...meta });
   }
 
-  // Reviews
-  const reviewsSrc = Array.isArray(r.reviews) ? r.reviews : [];
-  const reviews = [];
-  for (let i = 0; i < reviewsSrc.length; i++) {
-    const rv = reviewsSrc[i];
-    let avatar_local = null;
-
-    if (SAVE_REVIEWER_PHOTOS && rv.profile_photo_url) {
-      avatar_local = await downloadReviewerPhoto(rv.profile_photo_url, i + 1, folder);
-      if (avatar_local) avatar_local = path.basename(avatar_local);
+  // Reviewer avatars
+  if (SAVE_REVIEWER_PHOTOS) {
+    for (let i = 0; i < place.reviews.length; i++) {
+      const rv = place.reviews[i];
+      if (!rv.author_photo_url) continue;
+      const local = await downloadReviewerPhoto(rv.author_photo_url, i + 1, folder);
+      if (local) rv.author_photo_local = path.basename(local);
     }
-
-    reviews.push({
-      author_name: rv.author_name || "",
-      rating: rv.rating ?? null,
-      text: rv.text || "",
-      review_time: rv.relative_time_description || "",
-      author_photo_url: rv.profile_photo_url || "",
-      author_photo_local: avatar_local,
-    });
   }
 
-  // Build Strapi-ready JSON
-  const placeJson = {
-    place_id: r.place_id,
-    name,
-    slug,
-    province,
-    region: "", // left blank — handled in enrich
-    town,
-    address,
-    opening_hours,
-    rating: r.rating ?? null,
-    total_reviews: r.user_ratings_total ?? 0,
-    description:
-      r.editorial_summary?.overview ||
-      `Auto imported from Google Places on ${new Date().toISOString().slice(0, 10)} for ${name}.`,
-    latitude: lat,
-    longitude: lng,
-    contact: {
-      phone: cleanField(r.formatted_phone_number || r.international_phone_number),
-      email: null, // Google Places doesn’t provide email
-      website: cleanField(r.website),
-      booking_url: cleanField(r.website),
-      google_info: googleUrl, // always has value
-      whatsapp: null,
-    },
-    photos: savedPhotoFiles,
-    reviews,
-    source: {
-      types: r.types || [],
-      opening_hours: r.opening_hours || null,
-      google_place_url: googleUrl,
-      harvested_at: new Date().toISOString(),
-    },
-  };
-
+  const placeJson = { ...place, photos: savedPhotoFiles };
   fs.writeFileSync(path.join(folder, "place.json"), JSON.stringify(placeJson, null, 2));
   console.log(`📂 Harvested -> ${folder}`);
 
   return folder;
 }
 
+// =======================
+// MAIN
+// =======================
+// Harvests every place the source yields; returns their folders
+async function harvest(source, input) {
+  const adapter = getAdapter(source);
+  console.log(`🌍 Harvesting from ${adapter.description}: ${input}`);
+
+  const records = await adapter.harvest(input);
+  if (!records.length) console.warn(`⚠️ ${adapter.name} returned no places`);
+
+  const folders = [];
+  for (const record of records) folders.push(await writeRecord(record, adapter));
+  return folders;
+}
+
+// =======================
+// REPLAY (offline)
+// =======================
+/**
+ * Rebuilds place.json from the raw source record cached in `folder`,
+ * without network access. The original harvest date and the photo files
+ * already in the folder are kept. Returns { folder, adapter, changed }.
+ */
+function replayFolder(folder) {
+  const adapter = adapters.find((a) => fs.existsSync(path.join(folder, a.rawFile)));
+  if (!adapter) throw new Error(`No cached raw record (${adapters.map((a) => a.rawFile).join(", ")})`);
+
+  const raw = JSON.parse(fs.readFileSync(path.join(folder, adapter.rawFile), "utf-8"));
+  const placePath = path.join(folder, "place.json");
+  const previous = fs.existsSync(placePath) ? JSON.parse(fs.readFileSync(placePath, "utf-8")) : null;
+
+  const { place, photos } = adapter.replay(raw, {
+    harvestedAt: previous?.source?.harvested_at || fs.statSync(path.join(folder, adapter.rawFile)).mtime.toISOString(),
+    file: previous?.source?.file || null,
+    folder,
+  });
+
+  // Photo files were saved as photo_<n> in source order; keep those on disk
+  const files = fs.readdirSync(folder);
+  const savedPhotoFiles = photos
+    .map(({ url, file, ...meta }, i) => {
+      const saved = files.find((f) => path.parse(f).name === `photo_${i + 1}`);
+      return saved ? { file: saved, ...meta } : null;
+    })
+    .filter(Boolean);
+
+  // Reviewer avatars are only ever downloaded, so carry them over
+  const avatars = new Map((previous?.reviews || []).map((rv) => [rv.author_name, rv.author_photo_local]));
+  for (const rv of place.reviews) rv.author_photo_local = avatars.get(rv.author_name) ?? rv.author_photo_local ?? null;
+
+  const placeJson = { ...place, photos: savedPhotoFiles };
+  const next = JSON.stringify(placeJson, null, 2);
+  const changed = !previous || JSON.stringify(previous, null, 2) !== next;
+  if (changed) fs.writeFileSync(placePath, next);
+
+  return { folder, adapter: adapter.name, changed };
+}
+
+// Replays every given folder (default: all of Places/) and reports the outcome
+function replay(folders = []) {
+  const targets = folders.length
+    ? folders.map((f) => path.resolve(f))
+    : fs.existsSync(PLACES_DIR)
+    ? fs
+        .readdirSync(PLACES_DIR, { withFileTypes: true })
+        .filter((d) => d.isDirectory())
+        .map((d) => path.join(PLACES_DIR, d.name))
+    : [];
+
+  const summary = { rebuilt: [], unchanged: [], failed: [] };
+  for (const folder of targets) {
+    try {
+      const { changed, adapter } = replayFolder(folder);
+      if (changed) console.log(`🔁 Rebuilt ${path.basename(folder)}/place.json (${adapter})`);
+      (changed ? summary.rebuilt : summary.unchanged).push(folder);
+    } catch (err) {
+      console.error(`❌ ${path.basename(folder)}: ${err.message}`);
+      summary.failed.push(folder);
+    }
+  }
+
+  console.log(
+    `🏁 Replay done: ${summary.rebuilt.length} rebuilt, ${summary.unchanged.length} unchanged, ${summary.failed.length} failed`
+  );
+  return summary;
+}
+
+// One Google place by place_id (used by addPlace.js and batchAddPlaces.js)
+async function harvestPlace(placeId) {
+  const [folder] = await harvest("google", placeId);
+  return folder;
+}
+
 // Export so addPlace.js can call it
-module.exports = { harvestPlace };
+module.exports = { harvest, harvestPlace, replay, replayFolder };
+
+// =======================
+// CLI
+// =======================
+function parseArgs(argv) {
+  const args = { source: "google", inputs: [], list: false, replay: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--list") args.list = true;
+    else if (arg === "--replay") args.replay = true;
+    else if (arg === "--source") args.source = argv[++i];
+    else if (arg.startsWith("--source=")) args.source = arg.slice("--source=".length);
+    else args.inputs.push(arg);
+  }
+  return args;
+}
 
-// Allow standalone run for testing
 if (require.main === module) {
-  const PLACE_ID = "ChIJqVeWhyG9eB4RttkoLwb_xKQ"; // demo
-  harvestPlace(PLACE_ID).catch((err) => {
-    console.error("❌ Harvest failed:", err);
+  const { source, inputs, list, replay: replayMode } = parseArgs(process.argv.slice(2));
+
+  if (replayMode) {
+    const { failed } = replay(inputs);
+    process.exit(failed.length ? 1 : 0);
+  }
+
+  if (list || inputs.length === 0) {
+    console.log("Usage: node harvestPlace.js [--source <name>] <input>");
+    console.log("       node harvestPlace.js --replay [folder …]\n\nSources:");
+    for (const a of adapters) console.log(`  ${a.name.padEnd(10)} ${a.input.padEnd(26)} ${a.description}`);
+    process.exit(list ? 0 : 1);
+  }
+
+  (async () => {
+    for (const input of inputs) {
+      const folders = await harvest(source, input);
+      console.log(`🏁 ${folders.length} place(s) harvested from ${input}`);
+    }
+  })().catch((err) => {
+    console.error("❌ Harvest failed:", err.message || err);
+    process.exitCode = 1;
   });
 }
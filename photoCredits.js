@@ -0,0 +1,145 @@
+// photoCredits.js — Photo attribution rules, shared by the harvest adapters,
+// syncPlace.js and the Strapi app (credits endpoint and publish check)
+
+// =========================
+// SOURCES & LICENSES
+// =========================
+// Values of the `source` enumeration on general.photo
+const SOURCES = {
+  google: "Google Maps",
+  park_csv: "Park authority",
+  curated: "Curated list",
+  osm: "OpenStreetMap",
+  manual: "Added by an editor",
+};
+
+// Values of the `license` enumeration on general.photo. `requires_author`
+// licenses may only be shown with the photographer's name.
+const LICENSES = {
+  google_maps: {
+    label: "Google Maps contributor",
+    url: "https://www.google.com/help/terms_maps/",
+    requires_author: true,
+  },
+  cc_by: { label: "CC BY 4.0", url: "https://creativecommons.org/licenses/by/4.0/", requires_author: true },
+  cc_by_sa: { label: "CC BY-SA 4.0", url: "https://creativecommons.org/licenses/by-sa/4.0/", requires_author: true },
+  cc0: { label: "CC0 (public domain)", url: "https://creativecommons.org/publicdomain/zero/1.0/", requires_author: false },
+  permission: { label: "Used with permission", url: null, requires_author: true },
+  own: { label: "Own photo", url: null, requires_author: false },
+};
+
+// Harvest adapter names (harvestAdapters/) → source values
+const ADAPTER_SOURCES = { google: "google", "park-csv": "park_csv", curated: "curated", osm: "osm" };
+
+// License every photo from a source carries, when the source decides it
+const SOURCE_LICENSES = { google: "google_maps" };
+
+const clean = (v) => (v === null || v === undefined || String(v).trim() === "" ? null : String(v).trim());
+
+// Only http(s) links are rendered; anything else (javascript:, data:, …) is dropped
+const safeUrl = (v) => {
+  const url = clean(v);
+  return url && /^https?:\/\//i.test(url) ? url : null;
+};
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// =========================
+// PARSING
+// =========================
+// Author name and link from a Google `html_attributions` entry,
+// e.g. <a href="https://maps.google.com/maps/contrib/123">Jane Doe</a>
+function parseAttributionHtml(html) {
+  const value = clean(html);
+  if (!value) return { author_name: null, author_url: null };
+
+  const link = value.match(/<a\b[^>]*\bhref\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/i);
+  const text = (link ? link[2] : value).replace(/<[^>]*>/g, "").trim();
+  return { author_name: clean(text), author_url: link ? clean(link[1]) : null };
+}
+
+// License code from a code or a free-text label ("CC BY-SA 4.0", "public domain", …)
+function normaliseLicense(value) {
+  const raw = clean(value);
+  if (!raw) return null;
+  if (LICENSES[raw]) return raw;
+
+  const key = raw.toLowerCase().replace(/[^a-z0-9]+/g, "");
+  if (key.startsWith("ccbysa")) return "cc_by_sa";
+  if (key.startsWith("ccby")) return "cc_by";
+  if (key.startsWith("cc0") || key.startsWith("publicdomain")) return "cc0";
+  if (key.startsWith("google")) return "google_maps";
+  if (key.includes("permission")) return "permission";
+  if (key === "own" || key === "ownphoto" || key === "ownwork") return "own";
+  return null;
+}
+
+// =========================
+// PLACE.JSON → COMPONENT
+// =========================
+/**
+ * general.photo attribution fields for a place.json photo entry. Source and
+ * harvest date fall back to the place's `source` block; older place.json
+ * files without author fields are read from `attribution_html`, then from
+ * the plain credit text.
+ */
+function photoAttribution(photo = {}, placeSource = {}) {
+  const source = ADAPTER_SOURCES[photo.source] || ADAPTER_SOURCES[placeSource?.adapter] || clean(photo.source);
+  const parsed = parseAttributionHtml(photo.attribution_html);
+
+  return {
+    attribution: clean(photo.attribution_text) || parsed.author_name,
+    source: SOURCES[source] ? source : null,
+    author_name: clean(photo.author_name) || parsed.author_name || clean(photo.attribution_text),
+    author_url: clean(photo.author_url) || parsed.author_url,
+    license: normaliseLicense(photo.license) || SOURCE_LICENSES[source] || null,
+    harvested_at: clean(photo.harvested_at) || clean(placeSource?.harvested_at),
+  };
+}
+
+// =========================
+// VALIDATION & RENDERING
+// =========================
+// Fields a general.photo still needs before it can be published
+function missingAttribution(photo = {}) {
+  const missing = [];
+  if (!SOURCES[photo.source]) missing.push("source");
+  if (!LICENSES[photo.license]) missing.push("license");
+  else if (LICENSES[photo.license].requires_author && !clean(photo.author_name)) missing.push("author_name");
+  return missing;
+}
+
+/**
+ * Credit line for a general.photo, as plain text and as HTML with the
+ * author and license linked, e.g.
+ *   "Photo: Jane Doe via Google Maps · Google Maps contributor"
+ */
+function formatCredit(photo = {}) {
+  const author = clean(photo.author_name);
+  const authorUrl = safeUrl(photo.author_url);
+  const source = photo.source && photo.source !== "manual" ? SOURCES[photo.source] : null;
+  const license = LICENSES[photo.license] || null;
+
+  const link = (label, url) =>
+    url ? `<a href="${escapeHtml(url)}" rel="nofollow noopener" target="_blank">${escapeHtml(label)}</a>` : escapeHtml(label);
+
+  const text = [author ? `Photo: ${author}` : "Photo", source ? ` via ${source}` : "", license ? ` · ${license.label}` : ""];
+  const html = [
+    author ? `Photo: ${link(author, authorUrl)}` : "Photo",
+    source ? ` via ${escapeHtml(source)}` : "",
+    license ? ` · ${link(license.label, license.url)}` : "",
+  ];
+  return { text: text.join(""), html: html.join("") };
+}
+
+module.exports = {
+  SOURCES,
+  LICENSES,
+  parseAttributionHtml,
+  normaliseLicense,
+  photoAttribution,
+  missingAttribution,
+  formatCredit,
+  safeUrl,
+};
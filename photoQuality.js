@@ -0,0 +1,77 @@
+// photoQuality.js — Content hash and quality score for harvested photos,
+// used by syncPlace.js to reuse uploads and to order photos / pick the cover
+const fs = require("fs");
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+// =========================
+// SCORING
+// =========================
+const WEIGHTS = { resolution: 0.45, aspect: 0.25, brightness: 0.3 };
+
+const FULL_SCORE_MEGAPIXELS = 2; // 1600×1200 and up score full marks
+const IDEAL_ASPECT = 1.5; // 3:2 landscape suits cards and hero images
+const IDEAL_BRIGHTNESS = 0.55; // mean luminance, 0 (black) … 1 (white)
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+const round = (n) => Math.round(n * 1000) / 1000;
+
+/**
+ * 0..1 score per criterion and overall, from { width, height, brightness }:
+ * - resolution: megapixels up to FULL_SCORE_MEGAPIXELS
+ * - aspect:     1 at 3:2, 0 at half or double that (portraits score low)
+ * - brightness: 1 at IDEAL_BRIGHTNESS, falling off towards black or white
+ */
+function scorePhoto({ width, height, brightness }) {
+  const megapixels = width && height ? (width * height) / 1e6 : 0;
+  const parts = {
+    resolution: clamp01(megapixels / FULL_SCORE_MEGAPIXELS),
+    aspect: width && height ? clamp01(1 - Math.abs(Math.log(width / height / IDEAL_ASPECT)) / Math.log(2)) : 0,
+    brightness:
+      brightness === null || brightness === undefined
+        ? 0.5
+        : clamp01(1 - Math.abs(brightness - IDEAL_BRIGHTNESS) / IDEAL_BRIGHTNESS),
+  };
+  const score = Object.entries(WEIGHTS).reduce((sum, [key, weight]) => sum + parts[key] * weight, 0);
+  return {
+    score: round(score),
+    parts: Object.fromEntries(Object.entries(parts).map(([k, v]) => [k, round(v)])),
+  };
+}
+
+// =========================
+// MEASURING
+// =========================
+function sha256File(filePath) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+// Width, height and mean luminance (Rec. 601) of an image file
+async function measurePhoto(filePath) {
+  const image = sharp(filePath);
+  const { width, height } = await image.metadata();
+  const { channels } = await image.stats();
+  const [r, g, b] = channels.length >= 3 ? channels : [channels[0], channels[0], channels[0]];
+  const brightness = (0.299 * r.mean + 0.587 * g.mean + 0.114 * b.mean) / 255;
+  return { width: width || null, height: height || null, brightness: round(brightness) };
+}
+
+// Hash, measurements and score of one photo file
+async function analysePhoto(filePath) {
+  const sha256 = sha256File(filePath);
+  try {
+    const metrics = await measurePhoto(filePath);
+    return { sha256, ...metrics, ...scorePhoto(metrics) };
+  } catch (err) {
+    // Unreadable image: keep it, but behind every photo that could be scored
+    return { sha256, width: null, height: null, brightness: null, score: 0, parts: null, error: err.message };
+  }
+}
+
+module.exports = {
+  WEIGHTS,
+  scorePhoto,
+  sha256File,
+  measurePhoto,
+  analysePhoto,
+};
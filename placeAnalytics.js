@@ -0,0 +1,179 @@
+// placeAnalytics.js — Amenity and tag usage report, shared by
+// amenityTagReport.js and the Strapi app (admin analytics endpoint)
+
+const { normStr, editDistance } = require("./placeMerge");
+
+// =========================
+// NORMALISERS
+// =========================
+
+// Case, accent, spacing and punctuation-insensitive key for a tag label
+const tagKey = (label) =>
+  normStr(label)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+
+// Keys this close are treated as spelling variants of each other
+const isSpellingVariant = (a, b) => {
+  const shorter = Math.min(a.length, b.length);
+  if (shorter < 5) return false;
+  return editDistance(a, b) <= (shorter >= 10 ? 2 : 1);
+};
+
+// =========================
+// REPORT
+// =========================
+/**
+ * places:    [{ slug, name, province, tag: [{ label }], amenities: [{ slug }] }]
+ * amenities: [{ slug, name }] as stored in Strapi
+ * catalogue: [{ slug, name }] from amenitiesEnrichment.json (optional)
+ */
+function buildAmenityTagReport({ places = [], amenities = [], catalogue = [] }, { topTags = 10 } = {}) {
+  // 1) Amenity usage
+  const usage = new Map(amenities.map((a) => [a.slug, { slug: a.slug, name: a.name, places: 0 }]));
+  const placesWithoutAmenities = [];
+
+  for (const place of places) {
+    const slugs = new Set((place.amenities || []).map((a) => a.slug).filter(Boolean));
+    if (slugs.size === 0) {
+      placesWithoutAmenities.push({ slug: place.slug, name: place.name, province: place.province || null });
+    }
+    for (const slug of slugs) {
+      if (!usage.has(slug)) usage.set(slug, { slug, name: slug, places: 0 });
+      usage.get(slug).places += 1;
+    }
+  }
+
+  const amenityUsage = Array.from(usage.values()).sort(
+    (a, b) => b.places - a.places || a.slug.localeCompare(b.slug)
+  );
+  const unusedAmenities = amenityUsage.filter((a) => a.places === 0).map(({ slug, name }) => ({ slug, name }));
+  const seeded = new Set(amenities.map((a) => a.slug));
+  const notSeeded = catalogue.filter((a) => !seeded.has(a.slug)).map(({ slug, name }) => ({ slug, name }));
+
+  // 2) Tag labels, counted once per place
+  const labels = new Map(); // exact label -> count
+  const byProvince = new Map(); // province -> key -> { labels: Map, count }
+
+  for (const place of places) {
+    const province = normStr(place.province) || "Unknown";
+    if (!byProvince.has(province)) byProvince.set(province, new Map());
+    const provinceTags = byProvince.get(province);
+
+    const seen = new Set();
+    for (const t of place.tag || []) {
+      const label = normStr(t && t.label);
+      const key = tagKey(label);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+
+      labels.set(label, (labels.get(label) || 0) + 1);
+      if (!provinceTags.has(key)) provinceTags.set(key, { labels: new Map(), count: 0 });
+      const entry = provinceTags.get(key);
+      entry.count += 1;
+      entry.labels.set(label, (entry.labels.get(label) || 0) + 1);
+    }
+  }
+
+  // 3) Variants: same key, or keys within a small edit distance
+  const groups = new Map(); // key -> [{ label, count }]
+  for (const [label, count] of labels) {
+    const key = tagKey(label);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ label, count });
+  }
+
+  const keys = Array.from(groups.keys()).sort();
+  const parent = new Map(keys.map((k) => [k, k]));
+  const find = (k) => (parent.get(k) === k ? k : find(parent.get(k)));
+  for (let i = 0; i < keys.length; i++) {
+    for (let j = i + 1; j < keys.length; j++) {
+      if (isSpellingVariant(keys[i], keys[j])) parent.set(find(keys[j]), find(keys[i]));
+    }
+  }
+
+  const merged = new Map();
+  for (const key of keys) {
+    const root = find(key);
+    if (!merged.has(root)) merged.set(root, []);
+    merged.get(root).push(...groups.get(key));
+  }
+
+  const tagVariants = Array.from(merged.values())
+    .filter((variants) => variants.length > 1)
+    .map((variants) => {
+      variants.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+      return {
+        suggested: variants[0].label,
+        variants,
+        places: variants.reduce((sum, v) => sum + v.count, 0),
+      };
+    })
+    .sort((a, b) => b.places - a.places || a.suggested.localeCompare(b.suggested));
+
+  // 4) Most common tags per province, shown with their most used spelling
+  const topTagsByProvince = {};
+  for (const province of Array.from(byProvince.keys()).sort()) {
+    topTagsByProvince[province] = Array.from(byProvince.get(province).values())
+      .map(({ labels: spellings, count }) => ({
+        label: Array.from(spellings.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0],
+        places: count,
+      }))
+      .sort((a, b) => b.places - a.places || a.label.localeCompare(b.label))
+      .slice(0, topTags);
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    totals: {
+      places: places.length,
+      amenities: amenities.length,
+      unused_amenities: unusedAmenities.length,
+      places_without_amenities: placesWithoutAmenities.length,
+      distinct_tags: labels.size,
+    },
+    amenity_usage: amenityUsage,
+    unused_amenities: unusedAmenities,
+    catalogue_not_seeded: notSeeded,
+    places_without_amenities: placesWithoutAmenities,
+    tag_variants: tagVariants,
+    top_tags_by_province: topTagsByProvince,
+  };
+}
+
+// =========================
+// CSV
+// =========================
+const CSV_COLUMNS = ["section", "province", "slug", "label", "count"];
+
+const csvCell = (v) => {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// One tidy table: every section of the report as rows of the same columns
+function amenityTagReportToCsv(report) {
+  const rows = [];
+  for (const a of report.amenity_usage) rows.push(["amenity_usage", "", a.slug, a.name, a.places]);
+  for (const a of report.unused_amenities) rows.push(["unused_amenity", "", a.slug, a.name, 0]);
+  for (const a of report.catalogue_not_seeded) rows.push(["catalogue_not_seeded", "", a.slug, a.name, ""]);
+  for (const p of report.places_without_amenities) {
+    rows.push(["place_without_amenities", p.province || "", p.slug, p.name, 0]);
+  }
+  for (const group of report.tag_variants) {
+    for (const v of group.variants) rows.push(["tag_variant", "", tagKey(group.suggested), v.label, v.count]);
+  }
+  for (const [province, tags] of Object.entries(report.top_tags_by_province)) {
+    for (const t of tags) rows.push(["top_tag", province, "", t.label, t.places]);
+  }
+
+  return [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+module.exports = {
+  tagKey,
+  buildAmenityTagReport,
+  amenityTagReportToCsv,
+};
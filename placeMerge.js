@@ -0,0 +1,238 @@
+// placeMerge.js — Merge rules for Place fields, shared by enrichDocuments.js
+// and the Strapi app (approved issue-report corrections)
+
+// =========================
+// NORMALISERS
+// =========================
+const normStr = (v) => (v ?? "").toString().trim();
+const normNum = (v) => (v === null || v === undefined || v === "" ? null : Number(v));
+
+// =========================
+// MERGE HELPERS
+// =========================
+function mergeRates(existing = [], incoming = []) {
+  const map = new Map();
+  for (const r of existing) {
+    const amount = normNum(r.amount);
+    const unit = normStr(r.unit);
+    map.set(`${amount}|${unit.toLowerCase()}`, { amount, unit });
+  }
+  for (const r of incoming) {
+    if (!r) continue;
+    const amount = normNum(r.amount);
+    const unit = normStr(r.unit);
+    if (amount === null && !unit) continue;
+    map.set(`${amount}|${unit.toLowerCase()}`, { amount, unit });
+  }
+  return Array.from(map.values());
+}
+
+function mergeTags(existing = [], incoming = []) {
+  const set = new Map();
+  for (const t of existing) {
+    const label = normStr(t.label);
+    if (label) set.set(label.toLowerCase(), { label });
+  }
+  for (const t of incoming) {
+    if (!t) continue;
+    const label = normStr(t.label);
+    if (label) set.set(label.toLowerCase(), { label });
+  }
+  return Array.from(set.values());
+}
+
+function mergeRepeatable(existing = [], incoming = [], keyFields = ["title", "description"]) {
+  const norm = (obj) => {
+    const res = {};
+    for (const k of keyFields) {
+      if (obj[k] !== undefined) res[k] = normStr(obj[k]);
+    }
+    return res;
+  };
+  const incomingNorm = incoming.map(norm).filter((o) => Object.keys(o).length > 0);
+  return incomingNorm.length > 0 ? incomingNorm : existing.map(norm);
+}
+
+// Amenities are only ever added: requested slugs are connected when they
+// exist and are not linked yet, unknown slugs are reported as missing.
+function mergeAmenities(currentSlugs = [], requestedSlugs = [], knownSlugs = new Set()) {
+  const missing = [];
+  const toConnect = [];
+  for (const s of requestedSlugs) {
+    if (!knownSlugs.has(s)) missing.push(s);
+    else if (!currentSlugs.includes(s) && !toConnect.includes(s)) toConnect.push(s);
+  }
+  return { toConnect, missing };
+}
+
+// =========================
+// AMENITY RESOLUTION
+// =========================
+const AMENITY_STOP_WORDS = new Set(["a", "an", "and", "or", "the", "of", "with", "for", "on", "in", "at"]);
+const FUZZY_MIN_SCORE = 0.75;
+const SUGGESTION_MIN_SCORE = 0.5;
+
+// "Hot Showers", "hot_showers" and "hot-showers" all become "hot-showers"
+const amenityKey = (v) =>
+  normStr(v)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const compactKey = (key) => key.replace(/-/g, "");
+
+// Words of a key without filler words, with simple plurals folded ("showers" -> "shower")
+const amenityTokens = (key) =>
+  new Set(
+    key
+      .split("-")
+      .filter((t) => t && !AMENITY_STOP_WORDS.has(t))
+      .map((t) => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t))
+  );
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// 0..1: the best of word overlap (Dice), word containment ("braai" in
+// "braai-facilities") and character similarity
+function amenitySimilarity(a, b) {
+  const ta = amenityTokens(a);
+  const tb = amenityTokens(b);
+  const shared = Array.from(ta).filter((t) => tb.has(t)).length;
+  const dice = ta.size + tb.size ? (2 * shared) / (ta.size + tb.size) : 0;
+  if (ta.size > 0 && shared === ta.size) return Math.max(dice, 0.9);
+
+  const ca = compactKey(a);
+  const cb = compactKey(b);
+  const chars = 1 - editDistance(ca, cb) / Math.max(ca.length, cb.length, 1);
+  return Math.max(dice, chars);
+}
+
+/**
+ * amenities: [{ slug, name, aliases: [string] }]
+ *
+ * Returns resolve(requested) -> { requested, slug, via, suggestions }, where
+ * `via` is "slug", "alias" (an alias, the name or a differently written
+ * slug), "fuzzy" (one clearly closest amenity) or null when unresolved.
+ * Unresolved and fuzzy results carry up to three suggested slugs.
+ */
+function createAmenityResolver(amenities = []) {
+  const bySlug = new Map();
+  const byKey = new Map();
+  const candidates = []; // [{ slug, key }]
+
+  for (const a of amenities) {
+    if (!a || !a.slug) continue;
+    bySlug.set(a.slug, a.slug);
+    const names = [a.slug, a.name, ...(Array.isArray(a.aliases) ? a.aliases : [])];
+    for (const name of names) {
+      const key = amenityKey(name);
+      if (!key) continue;
+      if (!byKey.has(compactKey(key))) byKey.set(compactKey(key), a.slug);
+      candidates.push({ slug: a.slug, key });
+    }
+  }
+
+  return function resolve(requested) {
+    const raw = normStr(requested);
+    const key = amenityKey(raw);
+    const result = { requested: raw, slug: null, via: null, suggestions: [] };
+    if (!key) return result;
+
+    if (bySlug.has(raw)) return { ...result, slug: raw, via: "slug" };
+    if (byKey.has(compactKey(key))) return { ...result, slug: byKey.get(compactKey(key)), via: "alias" };
+
+    const best = new Map(); // slug -> best score over its slug, name and aliases
+    for (const c of candidates) {
+      const score = amenitySimilarity(key, c.key);
+      if (score > (best.get(c.slug) || 0)) best.set(c.slug, score);
+    }
+    const ranked = Array.from(best.entries())
+      .filter(([, score]) => score >= SUGGESTION_MIN_SCORE)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    const suggestions = ranked.slice(0, 3).map(([slug]) => slug);
+
+    const [top, runnerUp] = ranked;
+    if (top && top[1] >= FUZZY_MIN_SCORE && (!runnerUp || runnerUp[1] < top[1])) {
+      return { ...result, slug: top[0], via: "fuzzy", suggestions };
+    }
+    return { ...result, suggestions };
+  };
+}
+
+// =========================
+// AMENITY CATEGORIES
+// =========================
+const UNCATEGORISED = { slug: null, name: "Other", display_order: null };
+
+/**
+ * amenities: [{ slug, name, category: { slug, name, display_order } | null }]
+ *
+ * Returns [{ category, amenities }] with categories in display order (then
+ * by name), amenities by name within each, and uncategorised ones last
+ * under "Other".
+ */
+function groupAmenitiesByCategory(amenities = []) {
+  const groups = new Map();
+  for (const amenity of amenities) {
+    if (!amenity || !amenity.slug) continue;
+    const category = amenity.category && amenity.category.slug ? amenity.category : UNCATEGORISED;
+    if (!groups.has(category.slug)) {
+      groups.set(category.slug, {
+        category: { slug: category.slug, name: category.name, display_order: category.display_order ?? null },
+        amenities: [],
+      });
+    }
+    const { category: _category, ...rest } = amenity;
+    groups.get(category.slug).amenities.push(rest);
+  }
+
+  const order = (group) =>
+    group.category.slug === null ? Infinity : group.category.display_order ?? Number.MAX_SAFE_INTEGER;
+  const sorted = Array.from(groups.values()).sort(
+    (a, b) => order(a) - order(b) || normStr(a.category.name).localeCompare(normStr(b.category.name))
+  );
+  for (const group of sorted) {
+    group.amenities.sort((a, b) => normStr(a.name || a.slug).localeCompare(normStr(b.name || b.slug)));
+  }
+  return sorted;
+}
+
+// "Water & Power: Borehole water, Electricity (plug points). Ablutions: …"
+function buildFacilitiesSummary(groups = []) {
+  return groups
+    .filter((group) => group.amenities.length > 0)
+    .map((group) => `${group.category.name}: ${group.amenities.map((a) => normStr(a.name || a.slug)).join(", ")}.`)
+    .join(" ");
+}
+
+function arraysEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+module.exports = {
+  normStr,
+  normNum,
+  mergeRates,
+  mergeTags,
+  mergeRepeatable,
+  mergeAmenities,
+  amenityKey,
+  editDistance,
+  createAmenityResolver,
+  groupAmenitiesByCategory,
+  buildFacilitiesSummary,
+  arraysEqual,
+};
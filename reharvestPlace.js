@@ -0,0 +1,198 @@
+// reharvestPlace.js — Re-harvest existing places from Google and push only what changed
+//
+//   node reharvestPlace.js [--dry-run] [Places/<folder> …]   (all Google folders by default)
+//
+// For each folder: fetches fresh Google data, compares it with the previous
+// place.json and the place's Strapi draft, writes change_report.md, saves only
+// the changed fields to the draft and opens an issue report when the business
+// status changes. Nothing is published: editors review the draft first.
+const fs = require("fs");
+const path = require("path");
+const fetch = require("node-fetch");
+require("dotenv").config();
+const google = require("./harvestAdapters/google");
+const { diffHarvest, formatChangeReport } = require("./harvestDiff");
+
+// =========================
+// CONFIGURATION
+// =========================
+const MODE = process.env.MODE || "local"; // "local" or "cloud"
+
+const STRAPI_BASE =
+  MODE === "cloud"
+    ? process.env.CLOUD_STRAPI_URL
+    : process.env.LOCAL_STRAPI_URL || "http://127.0.0.1:1337";
+
+const STRAPI_API_URL = `${STRAPI_BASE}/api`;
+
+const STRAPI_API_TOKEN =
+  MODE === "cloud"
+    ? process.env.CLOUD_STRAPI_TOKEN
+    : process.env.LOCAL_STRAPI_TOKEN || process.env.STRAPI_API_TOKEN;
+
+if (!STRAPI_API_TOKEN) {
+  console.error("❌ Missing STRAPI_API_TOKEN. Please set it in your .env file.");
+  process.exit(1);
+}
+
+const PLACES_DIR = path.join(__dirname, "Places");
+const REVIEW_ISSUE_TYPE = "business_status_change";
+
+console.log(`🌍 Running in ${MODE.toUpperCase()} mode`);
+console.log(`📡 Base URL: ${STRAPI_BASE}`);
+
+// =========================
+// HELPERS
+// =========================
+const authHeaders = {
+  Authorization: `Bearer ${STRAPI_API_TOKEN}`,
+  "Content-Type": "application/json",
+};
+
+async function fetchJSON(url, options = {}) {
+  const res = await fetch(url, { headers: authHeaders, ...options });
+  const json = await res.json();
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}: ${JSON.stringify(json)}`);
+  return json;
+}
+
+// The draft, which is what the update below writes to
+async function findStrapiPlace(slug) {
+  const json = await fetchJSON(
+    `${STRAPI_API_URL}/places?filters[slug][$eq]=${encodeURIComponent(slug)}&populate[contact]=*&status=draft`
+  );
+  return json.data?.[0] || null;
+}
+
+const withoutId = ({ id, ...rest }) => rest;
+
+// Turns dotted `contact.*` updates into the full repeatable component
+function toPayload(updates, current) {
+  const payload = {};
+  const contactPatch = {};
+  for (const [field, value] of Object.entries(updates)) {
+    if (field.startsWith("contact.")) contactPatch[field.slice("contact.".length)] = value;
+    else payload[field] = value;
+  }
+  if (Object.keys(contactPatch).length) {
+    const [first = {}, ...others] = (current.contact || []).map(withoutId);
+    payload.contact = [{ ...first, ...contactPatch }, ...others];
+  }
+  return payload;
+}
+
+// Opens one issue report per place for a business status change, unless one is still open
+async function flagForReview(place, flag) {
+  const open = await fetchJSON(
+    `${STRAPI_API_URL}/issue-reports?filters[place_slug][$eq]=${encodeURIComponent(place.slug)}` +
+      `&filters[issue_type][$eq]=${REVIEW_ISSUE_TYPE}&filters[statusReport][$in][0]=open&filters[statusReport][$in][1]=in_progress`
+  );
+  if (open.data?.length) return false;
+
+  await fetchJSON(`${STRAPI_API_URL}/issue-reports`, {
+    method: "POST",
+    body: JSON.stringify({
+      data: {
+        place_slug: place.slug,
+        place_name: place.name,
+        issue_type: REVIEW_ISSUE_TYPE,
+        description: `${flag.message}. Found while re-harvesting on ${new Date().toISOString().slice(0, 10)}.`,
+      },
+    }),
+  });
+  return true;
+}
+
+// =========================
+// MAIN
+// =========================
+async function reharvestFolder(folder, { dryRun = false } = {}) {
+  const placePath = path.join(folder, "place.json");
+  if (!fs.existsSync(placePath)) throw new Error("place.json not found");
+  const previous = JSON.parse(fs.readFileSync(placePath, "utf-8"));
+  if (!previous.place_id) throw new Error("No Google place_id in place.json");
+
+  // 1) Fresh Google data; slug and photos stay as they were
+  const [record] = await google.harvest(previous.place_id);
+  const next = { ...record.place, slug: previous.slug, photos: previous.photos || [] };
+
+  // 2) Compare with the previous snapshot and Strapi
+  const current = await findStrapiPlace(previous.slug);
+  const diff = diffHarvest({ previous, next, current });
+
+  // 3) Push only what changed, to the draft (a plain PUT would publish it,
+  // pending editor changes included)
+  let pushed = false;
+  if (!dryRun && current && Object.keys(diff.updates).length) {
+    const payload = toPayload(diff.updates, current);
+    await fetchJSON(`${STRAPI_API_URL}/places/${current.documentId}?status=draft`, {
+      method: "PUT",
+      body: JSON.stringify({ data: payload }),
+    });
+    pushed = true;
+    console.log(`✅ Pushed ${Object.keys(payload).join(", ")} to the draft`);
+  }
+
+  // 4) Business status changes go to the issue-report review queue
+  for (const flag of diff.flags) {
+    console.warn(`⚠️ ${next.name}: ${flag.message}`);
+    if (flag.type !== "business_status" || dryRun) continue;
+    if (await flagForReview(next, flag)) console.log("📝 Flagged for review (issue report opened)");
+  }
+
+  // 5) Keep the old snapshot next to the new one, and the report
+  if (!dryRun) {
+    fs.copyFileSync(placePath, path.join(folder, "place.previous.json"));
+    fs.writeFileSync(path.join(folder, google.rawFile), JSON.stringify(record.raw, null, 2));
+    fs.writeFileSync(placePath, JSON.stringify(next, null, 2));
+  }
+  const reportPath = path.join(folder, "change_report.md");
+  fs.writeFileSync(reportPath, formatChangeReport({ place: next, previous, diff, pushed, dryRun }));
+  console.log(`📝 ${diff.changes.length} change(s) → ${path.relative(__dirname, reportPath)}`);
+
+  return { folder, changes: diff.changes.length, flags: diff.flags, pushed };
+}
+
+async function reharvest(folders = [], options = {}) {
+  const targets = folders.length
+    ? folders.map((f) => path.resolve(f))
+    : fs
+        .readdirSync(PLACES_DIR, { withFileTypes: true })
+        .filter((d) => d.isDirectory() && fs.existsSync(path.join(PLACES_DIR, d.name, google.rawFile)))
+        .map((d) => path.join(PLACES_DIR, d.name));
+
+  const summary = { changed: [], unchanged: [], flagged: [], failed: [] };
+  for (const folder of targets) {
+    console.log(`\n🔄 Re-harvesting ${path.basename(folder)}`);
+    try {
+      const result = await reharvestFolder(folder, options);
+      (result.changes ? summary.changed : summary.unchanged).push(folder);
+      if (result.flags.some((f) => f.type === "business_status")) summary.flagged.push(folder);
+    } catch (err) {
+      console.error(`❌ ${path.basename(folder)}: ${err.message}`);
+      summary.failed.push(folder);
+    }
+  }
+
+  console.log(
+    `\n🏁 Re-harvest done: ${summary.changed.length} changed, ${summary.unchanged.length} unchanged, ` +
+      `${summary.flagged.length} flagged for review, ${summary.failed.length} failed`
+  );
+  return summary;
+}
+
+// =========================
+// EXPORT + RUNNER
+// =========================
+module.exports = { reharvest, reharvestFolder };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  reharvest(
+    args.filter((a) => a !== "--dry-run"),
+    { dryRun }
+  ).catch((e) => {
+    console.error("💥 Script error:", e.message || e);
+  });
+}
@@ -0,0 +1,28 @@
+import type { StrapiApp } from '@strapi/strapi/admin';
+import { Pencil, WarningCircle } from '@strapi/icons';
+
+export default {
+  config: {
+    locales: [],
+  },
+  register(app: StrapiApp) {
+    app.addMenuLink({
+      to: 'open-issues',
+      icon: WarningCircle,
+      intlLabel: { id: 'open-issues.menu', defaultMessage: 'Open issues' },
+      permissions: [
+        { action: 'plugin::content-manager.explorer.read', subject: 'api::issue-report.issue-report' },
+      ],
+      Component: () => import('./pages/OpenIssues'),
+    });
+    app.addMenuLink({
+      to: 'suggested-corrections',
+      icon: Pencil,
+      intlLabel: { id: 'suggested-corrections.menu', defaultMessage: 'Suggested corrections' },
+      permissions: [
+        { action: 'plugin::content-manager.explorer.update', subject: 'api::place.place' },
+      ],
+      Component: () => import('./pages/SuggestedCorrections'),
+    });
+  },
+};
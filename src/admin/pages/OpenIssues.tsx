@@ -0,0 +1,160 @@
+/**
+ * Open issue reports grouped per place, with counts per issue type.
+ * Backed by GET /africa-unexpected/issue-reports/open-by-place.
+ */
+
+import { useEffect, useState } from 'react';
+import { Layouts, Page, useFetchClient } from '@strapi/strapi/admin';
+import {
+  Badge,
+  Box,
+  Flex,
+  Link,
+  Table,
+  Tbody,
+  Td,
+  Th,
+  Thead,
+  Tr,
+  Typography,
+} from '@strapi/design-system';
+
+type Issue = {
+  documentId: string;
+  issue_type: string | null;
+  statusReport: string | null;
+  description: string | null;
+  place_slug: string | null;
+  place_name: string | null;
+  createdAt: string;
+};
+
+type PlaceIssues = {
+  place: { documentId: string; name: string; slug: string; province: string | null };
+  total: number;
+  by_type: Record<string, number>;
+  issues: Issue[];
+};
+
+type Response = {
+  data: PlaceIssues[];
+  meta: { total: number; unlinked: Issue[] };
+};
+
+const editUrl = (uid: string, documentId: string) =>
+  `/admin/content-manager/collection-types/${uid}/${documentId}`;
+
+const OpenIssues = () => {
+  const { get } = useFetchClient();
+  const [result, setResult] = useState<Response | null>(null);
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    get<Response>('/africa-unexpected/issue-reports/open-by-place')
+      .then(({ data }) => setResult(data))
+      .catch(() => setError(true));
+  }, [get]);
+
+  if (error) return <Page.Error />;
+  if (!result) return <Page.Loading />;
+
+  const { data: places, meta } = result;
+
+  return (
+    <Page.Main>
+      <Page.Title>Open issues</Page.Title>
+      <Layouts.Header
+        title="Open issues"
+        subtitle={`${meta.total} open report(s) across ${places.length} place(s)`}
+      />
+      <Layouts.Content>
+        <Flex direction="column" alignItems="stretch" gap={8}>
+          <Table colCount={4} rowCount={places.length + 1}>
+            <Thead>
+              <Tr>
+                <Th>
+                  <Typography variant="sigma">Place</Typography>
+                </Th>
+                <Th>
+                  <Typography variant="sigma">Province</Typography>
+                </Th>
+                <Th>
+                  <Typography variant="sigma">Open</Typography>
+                </Th>
+                <Th>
+                  <Typography variant="sigma">By type</Typography>
+                </Th>
+              </Tr>
+            </Thead>
+            <Tbody>
+              {places.map(({ place, total, by_type }) => (
+                <Tr key={place.documentId}>
+                  <Td>
+                    <Link href={editUrl('api::place.place', place.documentId)}>{place.name}</Link>
+                  </Td>
+                  <Td>
+                    <Typography>{place.province ?? '—'}</Typography>
+                  </Td>
+                  <Td>
+                    <Typography fontWeight="bold">{total}</Typography>
+                  </Td>
+                  <Td>
+                    <Flex gap={1} wrap="wrap">
+                      {Object.entries(by_type).map(([type, count]) => (
+                        <Badge key={type}>{`${type}: ${count}`}</Badge>
+                      ))}
+                    </Flex>
+                  </Td>
+                </Tr>
+              ))}
+            </Tbody>
+          </Table>
+
+          {meta.unlinked.length > 0 && (
+            <Box>
+              <Typography variant="delta" tag="h2">
+                Reports with an unknown place slug
+              </Typography>
+              <Box paddingTop={4}>
+                <Table colCount={3} rowCount={meta.unlinked.length + 1}>
+                  <Thead>
+                    <Tr>
+                      <Th>
+                        <Typography variant="sigma">Slug</Typography>
+                      </Th>
+                      <Th>
+                        <Typography variant="sigma">Type</Typography>
+                      </Th>
+                      <Th>
+                        <Typography variant="sigma">Reported</Typography>
+                      </Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {meta.unlinked.map((issue) => (
+                      <Tr key={issue.documentId}>
+                        <Td>
+                          <Link href={editUrl('api::issue-report.issue-report', issue.documentId)}>
+                            {issue.place_slug}
+                          </Link>
+                        </Td>
+                        <Td>
+                          <Typography>{issue.issue_type ?? 'other'}</Typography>
+                        </Td>
+                        <Td>
+                          <Typography>{new Date(issue.createdAt).toLocaleDateString()}</Typography>
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </Box>
+            </Box>
+          )}
+        </Flex>
+      </Layouts.Content>
+    </Page.Main>
+  );
+};
+
+export default OpenIssues;
@@ -0,0 +1,164 @@
+/**
+ * Open "suggested correction" reports shown as a diff against their place.
+ * Approving applies the patch with the enrichment merge rules and closes
+ * the report. Backed by GET /africa-unexpected/issue-reports/corrections and
+ * POST /africa-unexpected/issue-reports/:documentId/approve-correction.
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { Layouts, Page, useFetchClient, useNotification } from '@strapi/strapi/admin';
+import {
+  Badge,
+  Box,
+  Button,
+  Flex,
+  Table,
+  Tbody,
+  Td,
+  Th,
+  Thead,
+  Tr,
+  Typography,
+} from '@strapi/design-system';
+import { Check } from '@strapi/icons';
+
+type Change = {
+  field: string;
+  current: unknown;
+  proposed: unknown;
+  changed: boolean;
+};
+
+type Correction = {
+  report: { documentId: string; statusReport: string | null; description: string | null };
+  place: { documentId?: string; name?: string; slug: string };
+  changes?: Change[];
+  missing_amenities?: string[];
+  error?: string;
+};
+
+const format = (value: unknown) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value, null, 2);
+};
+
+const Value = ({ value }: { value: unknown }) => (
+  <Typography tag="pre" style={{ whiteSpace: 'pre-wrap' }}>
+    {format(value)}
+  </Typography>
+);
+
+const SuggestedCorrections = () => {
+  const { get, post } = useFetchClient();
+  const { toggleNotification } = useNotification();
+  const [corrections, setCorrections] = useState<Correction[] | null>(null);
+  const [error, setError] = useState(false);
+  const [approving, setApproving] = useState<string | null>(null);
+
+  const load = useCallback(() => {
+    get<{ data: Correction[] }>('/africa-unexpected/issue-reports/corrections')
+      .then(({ data }) => setCorrections(data.data))
+      .catch(() => setError(true));
+  }, [get]);
+
+  useEffect(load, [load]);
+
+  const approve = async (documentId: string) => {
+    setApproving(documentId);
+    try {
+      await post(`/africa-unexpected/issue-reports/${documentId}/approve-correction`);
+      toggleNotification({ type: 'success', message: 'Correction applied and report closed' });
+      load();
+    } catch (err) {
+      toggleNotification({ type: 'danger', message: 'Could not apply the correction' });
+    } finally {
+      setApproving(null);
+    }
+  };
+
+  if (error) return <Page.Error />;
+  if (!corrections) return <Page.Loading />;
+
+  return (
+    <Page.Main>
+      <Page.Title>Suggested corrections</Page.Title>
+      <Layouts.Header
+        title="Suggested corrections"
+        subtitle={`${corrections.length} correction(s) waiting for review`}
+      />
+      <Layouts.Content>
+        <Flex direction="column" alignItems="stretch" gap={6}>
+          {corrections.map(({ report, place, changes, missing_amenities, error: problem }) => (
+            <Box key={report.documentId} background="neutral0" padding={6} shadow="tableShadow" hasRadius>
+              <Flex justifyContent="space-between" paddingBottom={4}>
+                <Box>
+                  <Typography variant="delta" tag="h2">
+                    {place.name ?? place.slug}
+                  </Typography>
+                  {report.description && <Typography textColor="neutral600">{report.description}</Typography>}
+                </Box>
+                <Button
+                  startIcon={<Check />}
+                  disabled={Boolean(problem) || approving !== null}
+                  loading={approving === report.documentId}
+                  onClick={() => approve(report.documentId)}
+                >
+                  Approve
+                </Button>
+              </Flex>
+
+              {problem ? (
+                <Typography textColor="danger600">{problem}</Typography>
+              ) : (
+                <Table colCount={3} rowCount={(changes?.length ?? 0) + 1}>
+                  <Thead>
+                    <Tr>
+                      <Th>
+                        <Typography variant="sigma">Field</Typography>
+                      </Th>
+                      <Th>
+                        <Typography variant="sigma">Current</Typography>
+                      </Th>
+                      <Th>
+                        <Typography variant="sigma">After approval</Typography>
+                      </Th>
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {changes?.map((change) => (
+                      <Tr key={change.field}>
+                        <Td>
+                          <Flex gap={2}>
+                            <Typography fontWeight="bold">{change.field}</Typography>
+                            {!change.changed && <Badge>unchanged</Badge>}
+                          </Flex>
+                        </Td>
+                        <Td>
+                          <Value value={change.current} />
+                        </Td>
+                        <Td>
+                          <Value value={change.proposed} />
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              )}
+
+              {missing_amenities && missing_amenities.length > 0 && (
+                <Box paddingTop={4}>
+                  <Typography textColor="warning600">
+                    {`Unknown amenities, skipped: ${missing_amenities.join(', ')}`}
+                  </Typography>
+                </Box>
+              )}
+            </Box>
+          ))}
+        </Flex>
+      </Layouts.Content>
+    </Page.Main>
+  );
+};
+
+export default SuggestedCorrections;
@@ -0,0 +1,7 @@
+/**
+ * amenity-category controller
+ */
+
+import { factories } from '@strapi/strapi'
+
+export default factories.createCoreController('api::amenity-category.amenity-category');
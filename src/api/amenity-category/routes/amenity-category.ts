@@ -0,0 +1,7 @@
+/**
+ * amenity-category router
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreRouter('api::amenity-category.amenity-category');
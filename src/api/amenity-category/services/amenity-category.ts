@@ -0,0 +1,49 @@
+/**
+ * amenity-category service
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { factories } from '@strapi/strapi';
+
+const CATEGORY_UID = 'api::amenity-category.amenity-category';
+
+type CategoryEntry = { name: string; slug: string; display_order?: number; amenities?: string[] };
+
+export default factories.createCoreService(CATEGORY_UID, ({ strapi }) => ({
+  /**
+   * Upserts the categories in amenityCategories.json by slug, writing only
+   * those whose name or display order differ. Returns the slugs per outcome
+   * and, for the amenity seeder, the category document id of each amenity
+   * slug listed in the file.
+   */
+  async seedCategories() {
+    const { categories } = strapi.config.get('amenities.seed') as { categories: string };
+    const file = path.join(strapi.dirs.app.root, categories);
+    const result = { created: [], updated: [], unchanged: [], categoryOf: new Map<string, string>() };
+    if (!fs.existsSync(file)) return result;
+
+    const entries: CategoryEntry[] = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const existing = await strapi.documents(CATEGORY_UID).findMany({ fields: ['slug', 'name', 'display_order'] });
+    const bySlug = new Map(existing.map((category) => [category.slug, category]));
+
+    for (const entry of entries) {
+      const data = { name: entry.name.trim(), slug: entry.slug.trim(), display_order: entry.display_order ?? 0 };
+      const current = bySlug.get(data.slug);
+
+      let documentId = current?.documentId;
+      if (!current) {
+        documentId = (await strapi.documents(CATEGORY_UID).create({ data })).documentId;
+        result.created.push(data.slug);
+      } else if (current.name !== data.name || current.display_order !== data.display_order) {
+        await strapi.documents(CATEGORY_UID).update({ documentId, data });
+        result.updated.push(data.slug);
+      } else {
+        result.unchanged.push(data.slug);
+      }
+
+      for (const slug of entry.amenities ?? []) result.categoryOf.set(slug, documentId);
+    }
+    return result;
+  },
+}));
@@ -2,6 +2,185 @@
  * amenity service
  */
 
+import fs from 'fs';
+import path from 'path';
 import { factories } from '@strapi/strapi';
+import { hasUnpublishedChanges } from '../../../utils/db';
 
-export default factories.createCoreService('api::amenity.amenity');
+const AMENITY_UID = 'api::amenity.amenity';
+const FILE_UID = 'plugin::upload.file';
+
+const ICON_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp',
+};
+
+type CatalogueEntry = { name: string; slug: string; description?: string; icon?: string };
+
+const normStr = (value) => (value ?? '').toString().trim();
+
+export default factories.createCoreService(AMENITY_UID, ({ strapi }) => ({
+  /**
+   * Adds `alias` to an amenity's aliases unless an alias written the same way
+   * is already there. The draft and published rows are written directly, so
+   * other unpublished edits to the amenity stay unpublished. Returns whether
+   * either changed.
+   */
+  async addAlias(documentId: string, alias: string) {
+    const { amenityKey } = require(path.join(strapi.dirs.app.root, 'placeMerge.js'));
+    const key = amenityKey(alias);
+    if (!key) return false;
+
+    const versions = await strapi.db.query(AMENITY_UID).findMany({
+      select: ['id', 'slug', 'aliases'],
+      where: { documentId },
+    });
+
+    let changed = false;
+    for (const version of versions) {
+      const aliases = Array.isArray(version.aliases) ? (version.aliases as string[]) : [];
+      if (key === version.slug || aliases.some((existing) => amenityKey(existing) === key)) continue;
+
+      await strapi.db.query(AMENITY_UID).update({ where: { id: version.id }, data: { aliases: [...aliases, alias] } });
+      changed = true;
+    }
+    return changed;
+  },
+
+  /**
+   * Media library file for an icon, uploading it from the icons folder the
+   * first time. Files are matched by name so reruns reuse the upload.
+   * Returns null when the icon file is missing.
+   */
+  async findOrUploadIcon(filename: string, alternativeText: string) {
+    const existing = await strapi.db.query(FILE_UID).findOne({ where: { name: filename } });
+    if (existing) return existing;
+
+    const { iconsDir } = strapi.config.get('amenities.seed') as { iconsDir: string };
+    const filepath = path.resolve(strapi.dirs.app.root, iconsDir, filename);
+    if (!fs.existsSync(filepath)) return null;
+
+    const [file] = await strapi
+      .plugin('upload')
+      .service('upload')
+      .upload({
+        data: { fileInfo: { name: filename, alternativeText } },
+        files: {
+          filepath,
+          originalFilename: filename,
+          mimetype: ICON_TYPES[path.extname(filename).toLowerCase()] ?? 'application/octet-stream',
+          size: fs.statSync(filepath).size,
+        },
+      });
+    return file;
+  },
+
+  /**
+   * Upserts the amenity categories, then the amenity catalogue by slug, and
+   * publishes it. An entry is only written when its name, description, icon
+   * or category differ, so running it twice changes nothing. Amenities with
+   * unpublished edits are compared and updated as drafts only, so those
+   * edits are not published by the seed. Returns the slugs per outcome.
+   */
+  async seedCatalogue() {
+    const { catalogue } = strapi.config.get('amenities.seed') as { catalogue: string };
+    const entries: CatalogueEntry[] = JSON.parse(
+      fs.readFileSync(path.join(strapi.dirs.app.root, catalogue), 'utf-8')
+    );
+
+    const categories = await strapi.service('api::amenity-category.amenity-category').seedCategories();
+
+    const published = await strapi.documents(AMENITY_UID).findMany({
+      status: 'published',
+      fields: ['name', 'slug', 'description'],
+      populate: { icon: { fields: ['name'] }, category: { fields: ['slug'] } },
+    });
+    const drafts = await strapi.documents(AMENITY_UID).findMany({
+      fields: ['name', 'slug', 'description'],
+      populate: { icon: { fields: ['name'] }, category: { fields: ['slug'] } },
+    });
+    const publishedBySlug = new Map(published.map((amenity) => [amenity.slug, amenity]));
+    const draftBySlug = new Map(drafts.map((amenity) => [amenity.slug, amenity]));
+
+    const result = { created: [], updated: [], updated_drafts: [], unchanged: [], missing_icons: [], failed: [] };
+
+    for (const entry of entries) {
+      const slug = normStr(entry.slug);
+      const name = normStr(entry.name);
+      if (!slug || !name) {
+        result.failed.push({ slug: slug || null, error: 'Catalogue entry needs a name and a slug' });
+        continue;
+      }
+
+      try {
+        const live = publishedBySlug.get(slug);
+        const pending = live ? await hasUnpublishedChanges(AMENITY_UID, live.documentId) : false;
+        const current = pending ? draftBySlug.get(slug) : live;
+        const data: Record<string, any> = { name, slug, description: normStr(entry.description) || null };
+
+        const iconName = normStr(entry.icon);
+        if (iconName && current?.icon?.name !== iconName) {
+          const icon = await this.findOrUploadIcon(iconName, name);
+          if (icon) data.icon = icon.id;
+          else result.missing_icons.push(iconName);
+        }
+
+        const categoryId = categories.categoryOf.get(slug);
+        if (categoryId && current?.category?.documentId !== categoryId) data.category = categoryId;
+
+        const documentId = live?.documentId ?? draftBySlug.get(slug)?.documentId;
+        if (!documentId) {
+          await strapi.documents(AMENITY_UID).create({ data: data as any, status: 'published' });
+          result.created.push(slug);
+          continue;
+        }
+
+        const changed =
+          !current ||
+          current.name !== data.name ||
+          (current.description ?? null) !== data.description ||
+          data.icon !== undefined ||
+          data.category !== undefined;
+        if (!changed) {
+          result.unchanged.push(slug);
+          continue;
+        }
+
+        if (pending) {
+          await strapi.documents(AMENITY_UID).update({ documentId, data: data as any });
+          result.updated_drafts.push(slug);
+        } else {
+          await strapi.documents(AMENITY_UID).update({ documentId, data: data as any, status: 'published' });
+          result.updated.push(slug);
+        }
+      } catch (err) {
+        result.failed.push({ slug, error: err.message });
+      }
+    }
+
+    strapi.log.info(
+      `[amenities] Seeded categories: ${categories.created.length} created, ${categories.updated.length} updated, ` +
+        `${categories.unchanged.length} unchanged`
+    );
+    strapi.log.info(
+      `[amenities] Seeded catalogue: ${result.created.length} created, ${result.updated.length} updated, ` +
+        `${result.unchanged.length} unchanged`
+    );
+    if (result.updated_drafts.length) {
+      strapi.log.info(
+        `[amenities] Updated as drafts, unpublished edits pending: ${result.updated_drafts.join(', ')}`
+      );
+    }
+    if (result.missing_icons.length) {
+      strapi.log.warn(`[amenities] Icon file(s) not found: ${result.missing_icons.join(', ')}`);
+    }
+    for (const { slug, error } of result.failed) {
+      strapi.log.error(`[amenities] Could not seed "${slug}": ${error}`);
+    }
+    const { categoryOf, ...categoryResult } = categories;
+    return { ...result, categories: categoryResult };
+  },
+}));
@@ -0,0 +1,48 @@
+/**
+ * community-review lifecycles
+ *
+ * Keeps each place's community rating in step with its approved reviews,
+ * whether a review is written through the API or moderated in the admin.
+ */
+
+import { afterCommit } from '../../../../utils/db';
+
+const REVIEW_UID = 'api::community-review.community-review';
+
+// Places the matching reviews are linked to.
+const placesOf = async (where) => {
+  const reviews = await strapi.db.query(REVIEW_UID).findMany({
+    select: ['id'],
+    where,
+    populate: { place: { select: ['documentId'] } },
+  });
+  return reviews.map((review) => review.place?.documentId).filter(Boolean);
+};
+
+const refreshAfterCommit = (event, where = null) => {
+  afterCommit('community-rating', async () => {
+    const documentIds = new Set<string>([...(event.state.places ?? []), ...(where ? await placesOf(where) : [])]);
+    for (const documentId of documentIds) {
+      await strapi.service('api::place.place').refreshCommunityRating(documentId);
+    }
+  });
+};
+
+// Read before the row changes so a review leaving a place still counts.
+const rememberPlaces = async (event) => {
+  event.state.places = await placesOf(event.params.where);
+};
+
+export default {
+  afterCreate(event) {
+    refreshAfterCommit(event, { id: event.result.id });
+  },
+  beforeUpdate: rememberPlaces,
+  afterUpdate(event) {
+    refreshAfterCommit(event, { id: event.result.id });
+  },
+  beforeDelete: rememberPlaces,
+  afterDelete(event) {
+    refreshAfterCommit(event);
+  },
+};
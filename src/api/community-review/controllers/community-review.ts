@@ -0,0 +1,43 @@
+/**
+ * community-review controller
+ */
+
+import { factories } from '@strapi/strapi'
+import { ownerScopedActions } from '../../../utils/owner-scoped';
+
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+export default factories.createCoreController('api::community-review.community-review', ({ strapi }) => ({
+  // Moderation is staff-only, and `place` is resolved from `place_slug`.
+  ...ownerScopedActions('api::community-review.community-review', {
+    readOnlyFields: ['place', 'moderation_status', 'moderation_note'],
+  }),
+
+  /**
+   * GET /places/:slug/reviews?start=&limit= — approved community reviews
+   * with the place's community and Google ratings side by side.
+   */
+  async findForPlace(ctx) {
+    const config = strapi.config.get('places.reviews') as Record<string, number>;
+    const start = Math.max(0, Number(ctx.query.start) || 0);
+    const limit = clamp(Number(ctx.query.limit) || config.defaultLimit, 1, config.maxLimit);
+
+    const found = await strapi
+      .service('api::community-review.community-review')
+      .findApprovedForPlace(ctx.params.slug, { start, limit });
+    if (!found) return ctx.notFound('Place not found');
+
+    const { place, results, total } = found;
+    return {
+      data: results,
+      meta: {
+        slug: place.slug,
+        community: { rating: place.community_rating ?? null, count: place.community_review_count ?? 0 },
+        google: { rating: place.rating ?? null, count: place.total_reviews ?? 0 },
+        start,
+        count: results.length,
+        total,
+      },
+    };
+  },
+}));
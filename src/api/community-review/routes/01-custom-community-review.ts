@@ -0,0 +1,13 @@
+/**
+ * community-review custom routes
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/places/:slug/reviews',
+      handler: 'api::community-review.community-review.findForPlace',
+    },
+  ],
+};
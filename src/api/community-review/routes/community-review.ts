@@ -0,0 +1,7 @@
+/**
+ * community-review router
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreRouter('api::community-review.community-review');
@@ -0,0 +1,113 @@
+/**
+ * community-review service
+ */
+
+import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { withKeyLock } from '../../../utils/lock';
+
+const REVIEW_UID = 'api::community-review.community-review';
+const PLACE_UID = 'api::place.place';
+
+// Editing any of these sends the review back to moderation.
+const CONTENT_FIELDS = ['rating', 'text', 'stay_date', 'photos'];
+
+// The owner id from relation input, when given as a plain id or `{ id }`.
+const ownerIdOf = (value) => {
+  if (typeof value === 'number' || typeof value === 'string') return value;
+  if (value && typeof value === 'object' && 'id' in value) return value.id;
+  return null;
+};
+
+export default factories.createCoreService(REVIEW_UID, ({ strapi }) => ({
+  /**
+   * Links the review to the place named by `place_slug` and enforces one
+   * review per user per place: checked here for a clear error, and settled
+   * by the unique `owner_key` index (see utils/owner-key). New reviews wait
+   * for moderation.
+   */
+  async create(params) {
+    const data = { ...params?.data };
+    const slug = typeof data.place_slug === 'string' ? data.place_slug.trim() : '';
+
+    const place = slug
+      ? await strapi.documents(PLACE_UID).findFirst({ status: 'published', filters: { slug }, fields: ['slug'] })
+      : null;
+    if (!place) {
+      throw new errors.ValidationError(`No place found for "${slug}"`, { place_slug: slug });
+    }
+
+    const userId = ownerIdOf(data.users_permissions_user);
+    const create = async () => {
+      if (userId && (await this.findUserReview(userId, place.documentId))) {
+        throw new errors.ValidationError('You have already reviewed this place', { place_slug: slug });
+      }
+      return super.create({
+        ...params,
+        data: { moderation_status: 'pending', ...data, place_slug: place.slug, place: place.documentId },
+      });
+    };
+
+    return userId ? withKeyLock(`community-review:${userId}:${place.documentId}`, create) : create();
+  },
+
+  /**
+   * The place is fixed once reviewed; content edits need moderating again.
+   */
+  async update(documentId, params) {
+    const { place, place_slug, ...data } = params?.data ?? {};
+
+    if (CONTENT_FIELDS.some((field) => field in data) && data.moderation_status === undefined) {
+      data.moderation_status = 'pending';
+    }
+    return super.update(documentId, { ...params, data });
+  },
+
+  async findUserReview(userId, placeDocumentId: string) {
+    return strapi.db.query(REVIEW_UID).findOne({
+      select: ['id', 'documentId'],
+      where: { users_permissions_user: { id: userId }, place: { documentId: placeDocumentId } },
+    });
+  },
+
+  /**
+   * Approved reviews of a published place, newest stay first. Only the
+   * author's username is exposed. Returns null when the place is unknown.
+   */
+  async findApprovedForPlace(slug: string, { start = 0, limit }: { start?: number; limit: number }) {
+    const place = await strapi.documents(PLACE_UID).findFirst({
+      status: 'published',
+      filters: { slug },
+      fields: ['name', 'slug', 'rating', 'total_reviews', 'community_rating', 'community_review_count'],
+    });
+    if (!place) return null;
+
+    const query = { filters: { moderation_status: 'approved' as const, place: { documentId: place.documentId } } };
+    const [reviews, total] = await Promise.all([
+      strapi.documents(REVIEW_UID).findMany({
+        ...query,
+        fields: ['rating', 'text', 'stay_date', 'createdAt'],
+        populate: {
+          photos: { fields: ['url', 'formats', 'alternativeText', 'width', 'height'] },
+          users_permissions_user: { fields: ['username'] },
+        },
+        sort: [{ stay_date: 'desc' }, { createdAt: 'desc' }],
+        start,
+        limit,
+      }),
+      strapi.documents(REVIEW_UID).count(query),
+    ]);
+
+    const results = reviews.map(({ users_permissions_user: author, photos, ...review }: any) => ({
+      documentId: review.documentId,
+      rating: review.rating,
+      text: review.text,
+      stay_date: review.stay_date,
+      createdAt: review.createdAt,
+      author: author?.username ?? null,
+      photos: (photos ?? []).map(({ id, ...photo }) => photo),
+    }));
+
+    return { place, results, total };
+  },
+}));
@@ -0,0 +1,77 @@
+/**
+ * issue-report admin routes
+ *
+ * Served to the admin panel (admin JWT, not the content API) and mounted
+ * from the app's register(); see src/admin for the pages that use them.
+ * Admin routes share the root with Strapi's own, hence the app prefix.
+ */
+
+import type { Core } from '@strapi/strapi';
+
+const canReadReports = {
+  name: 'admin::hasPermissions',
+  config: { actions: [['plugin::content-manager.explorer.read', 'api::issue-report.issue-report']] },
+};
+
+const canEditPlaces = {
+  name: 'admin::hasPermissions',
+  config: {
+    actions: [
+      ['plugin::content-manager.explorer.update', 'api::place.place'],
+      ['plugin::content-manager.explorer.update', 'api::issue-report.issue-report'],
+    ],
+  },
+};
+
+const router: Core.Router = {
+  type: 'admin',
+  prefix: '/africa-unexpected/issue-reports',
+  routes: [
+    {
+      // GET /africa-unexpected/issue-reports/open-by-place?place=<slug>
+      method: 'GET',
+      path: '/open-by-place',
+      handler: async (ctx) => {
+        const slug = typeof ctx.query.place === 'string' ? ctx.query.place.trim() : undefined;
+        const { places, unlinked, total } = await strapi
+          .service('api::issue-report.issue-report')
+          .findOpenByPlace({ slug: slug || undefined });
+
+        ctx.body = { data: places, meta: { total, unlinked } };
+      },
+      config: {
+        policies: ['admin::isAuthenticatedAdmin', canReadReports],
+      },
+      info: { apiName: 'issue-report' },
+    },
+    {
+      // GET /africa-unexpected/issue-reports/corrections — open suggested corrections with diffs
+      method: 'GET',
+      path: '/corrections',
+      handler: async (ctx) => {
+        const pending = await strapi.service('api::issue-report.correction').findPending();
+        ctx.body = { data: pending, meta: { count: pending.length } };
+      },
+      config: {
+        policies: ['admin::isAuthenticatedAdmin', canReadReports],
+      },
+      info: { apiName: 'issue-report' },
+    },
+    {
+      // POST /africa-unexpected/issue-reports/:documentId/approve-correction
+      method: 'POST',
+      path: '/:documentId/approve-correction',
+      handler: async (ctx) => {
+        ctx.body = {
+          data: await strapi.service('api::issue-report.correction').approve(ctx.params.documentId),
+        };
+      },
+      config: {
+        policies: ['admin::isAuthenticatedAdmin', canEditPlaces],
+      },
+      info: { apiName: 'issue-report' },
+    },
+  ],
+};
+
+export default router;
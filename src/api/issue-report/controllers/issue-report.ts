@@ -3,5 +3,14 @@
  */
 
 import { factories } from '@strapi/strapi'
+import { ownerScopedActions } from '../../../utils/owner-scoped';
 
-export default factories.createCoreController('api::issue-report.issue-report');
+export default factories.createCoreController('api::issue-report.issue-report', () => ({
+  // `user_id` predates the relation; keep it in step for older clients.
+  ...ownerScopedActions('api::issue-report.issue-report', {
+    ownerFields: { user_id: (user) => user.id },
+    // Triage is staff-only, and `place` is resolved from `place_slug`; the
+    // issue-report service manages these.
+    readOnlyFields: ['statusReport', 'admin_notes', 'resolved_at', 'history', 'place'],
+  }),
+}));
@@ -0,0 +1,273 @@
+/**
+ * issue-report correction service
+ *
+ * "Suggested correction" reports carry a patch for a handful of Place
+ * fields in `proposed_changes`. Admins review it as a diff against the
+ * place and approve it, which applies the patch and closes the report.
+ */
+
+import path from 'path';
+import type { Core } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+
+export const CORRECTION_TYPE = 'suggested_correction';
+
+const ISSUE_UID = 'api::issue-report.issue-report';
+const PLACE_UID = 'api::place.place';
+const AMENITY_UID = 'api::amenity.amenity';
+
+const CONTACT_FIELDS = ['phone', 'email', 'website', 'booking_url', 'whatsapp'];
+const OPEN_STATUSES: ('open' | 'in_progress' | 'resolved' | 'closed')[] = ['open', 'in_progress'];
+
+type Correction = {
+  contact?: Record<string, string>;
+  rates?: { amount: number | null; unit: string }[];
+  opening_hours?: string;
+  amenities?: string[];
+  tags?: { label: string }[];
+};
+
+// The rules enrichDocuments.js merges with, so approved corrections and
+// enrichment batches treat rates, tags and amenities the same way.
+const placeMerge = () => require(path.join(strapi.dirs.app.root, 'placeMerge.js'));
+
+const invalid = (message: string, details = {}) => new errors.ValidationError(message, details);
+
+const withoutId = ({ id, ...rest }) => rest;
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  /**
+   * Validates a proposed patch and drops anything outside the supported
+   * fields. Throws a ValidationError when nothing usable is left.
+   */
+  normalize(input: unknown): Correction {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw invalid('proposed_changes must be an object');
+    }
+    const { normStr, normNum } = placeMerge();
+    const raw = input as Record<string, any>;
+    const patch: Correction = {};
+
+    if (raw.contact !== undefined) {
+      if (typeof raw.contact !== 'object' || Array.isArray(raw.contact)) {
+        throw invalid('proposed_changes.contact must be an object');
+      }
+      const contact = {};
+      for (const field of CONTACT_FIELDS) {
+        const value = normStr(raw.contact[field]);
+        if (value) contact[field] = value;
+      }
+      if (Object.keys(contact).length) patch.contact = contact;
+    }
+
+    if (raw.rates !== undefined) {
+      if (!Array.isArray(raw.rates)) throw invalid('proposed_changes.rates must be an array');
+      const rates = raw.rates
+        .filter((rate) => rate && typeof rate === 'object')
+        .map((rate) => ({ amount: normNum(rate.amount), unit: normStr(rate.unit) }))
+        .filter((rate) => rate.amount !== null || rate.unit);
+      if (rates.some((rate) => rate.amount !== null && !(rate.amount >= 0))) {
+        throw invalid('proposed_changes.rates amounts must be positive numbers');
+      }
+      if (rates.length) patch.rates = rates;
+    }
+
+    if (raw.opening_hours !== undefined) {
+      const hours = normStr(raw.opening_hours);
+      if (hours) patch.opening_hours = hours;
+    }
+
+    if (raw.amenities !== undefined) {
+      if (!Array.isArray(raw.amenities)) throw invalid('proposed_changes.amenities must be an array of slugs');
+      const slugs = Array.from(new Set(raw.amenities.map(normStr).filter(Boolean))) as string[];
+      if (slugs.length) patch.amenities = slugs;
+    }
+
+    if (raw.tags !== undefined) {
+      if (!Array.isArray(raw.tags)) throw invalid('proposed_changes.tags must be an array');
+      const tags = raw.tags
+        .map((tag) => normStr(typeof tag === 'string' ? tag : tag?.label))
+        .filter(Boolean)
+        .map((label) => ({ label }));
+      if (tags.length) patch.tags = tags;
+    }
+
+    if (!Object.keys(patch).length) {
+      throw invalid('proposed_changes needs at least one of contact, rates, opening_hours, amenities or tags', {
+        allowed: ['contact', 'rates', 'opening_hours', 'amenities', 'tags'],
+      });
+    }
+    return patch;
+  },
+
+  /**
+   * Diff of a correction report against the draft version of its place,
+   * which is the version approving it changes, plus the payload it would
+   * write. `changes` lists every patched field with its current and
+   * resulting value.
+   */
+  async preview(report) {
+    if (report.issue_type !== CORRECTION_TYPE) {
+      throw invalid(`Report is not a ${CORRECTION_TYPE}`);
+    }
+    const patch = this.normalize(report.proposed_changes);
+
+    const placeDocumentId =
+      report.place?.documentId ??
+      (await strapi.service('api::issue-report.issue-report').resolvePlace(report.place_slug))?.documentId;
+    const place = placeDocumentId
+      ? await strapi.documents(PLACE_UID).findOne({
+          documentId: placeDocumentId,
+          status: 'draft',
+          fields: ['name', 'slug', 'opening_hours'],
+          populate: { contact: true, rates: true, tag: true, amenities: { fields: ['slug'] } },
+        })
+      : null;
+    if (!place) throw new errors.NotFoundError(`Place "${report.place_slug}" not found`);
+
+    const { mergeRates, mergeTags, mergeAmenities, createAmenityResolver, normStr, normNum, arraysEqual } =
+      placeMerge();
+    const changes = [];
+    const payload: Record<string, any> = {};
+    let missingAmenities: string[] = [];
+
+    if (patch.contact) {
+      const [first = {}, ...others] = (place.contact ?? []).map(withoutId);
+      const current = Object.fromEntries(CONTACT_FIELDS.map((field) => [field, first[field] ?? null]));
+      const proposed = { ...current, ...patch.contact };
+      const changed = !arraysEqual(current, proposed);
+
+      changes.push({ field: 'contact', current, proposed, changed });
+      if (changed) payload.contact = [{ ...first, ...patch.contact }, ...others];
+    }
+
+    if (patch.rates) {
+      const current = (place.rates ?? []).map((rate) => ({ amount: normNum(rate.amount), unit: normStr(rate.unit) }));
+      const proposed = mergeRates(current, patch.rates);
+      const changed = !arraysEqual(current, proposed);
+
+      changes.push({ field: 'rates', current, proposed, changed });
+      if (changed) payload.rates = proposed;
+    }
+
+    if (patch.opening_hours) {
+      const current = place.opening_hours ?? null;
+      const changed = normStr(current) !== patch.opening_hours;
+
+      changes.push({ field: 'opening_hours', current, proposed: patch.opening_hours, changed });
+      if (changed) payload.opening_hours = patch.opening_hours;
+    }
+
+    if (patch.amenities) {
+      const current = (place.amenities ?? []).map((amenity) => amenity.slug);
+      const known = await strapi.documents(AMENITY_UID).findMany({ fields: ['slug', 'name', 'aliases'] });
+      const resolve = createAmenityResolver(known);
+      const matches = patch.amenities.map((slug) => resolve(slug));
+      missingAmenities = matches.filter((match) => !match.slug).map((match) => match.requested);
+
+      const requested = matches.filter((match) => match.slug).map((match) => match.slug);
+      const { toConnect } = mergeAmenities(current, requested, new Set(known.map((a) => a.slug)));
+
+      changes.push({ field: 'amenities', current, proposed: [...current, ...toConnect], changed: toConnect.length > 0 });
+      if (toConnect.length) {
+        payload.amenities = {
+          connect: known.filter((amenity) => toConnect.includes(amenity.slug)).map((amenity) => amenity.documentId),
+        };
+      }
+    }
+
+    if (patch.tags) {
+      const current = (place.tag ?? []).map((tag) => ({ label: normStr(tag.label) }));
+      const proposed = mergeTags(current, patch.tags);
+      const changed = !arraysEqual(current, proposed);
+
+      changes.push({
+        field: 'tags',
+        current: current.map((tag) => tag.label),
+        proposed: proposed.map((tag) => tag.label),
+        changed,
+      });
+      if (changed) payload.tag = proposed;
+    }
+
+    return {
+      report: { documentId: report.documentId, statusReport: report.statusReport, description: report.description },
+      place: { documentId: place.documentId, name: place.name, slug: place.slug },
+      changes,
+      missing_amenities: missingAmenities,
+      payload,
+    };
+  },
+
+  /**
+   * Open correction reports with their diffs, oldest first. Reports whose
+   * patch or place can no longer be resolved are listed with an `error`.
+   */
+  async findPending() {
+    const reports = await strapi.documents(ISSUE_UID).findMany({
+      filters: {
+        issue_type: CORRECTION_TYPE,
+        $or: [{ statusReport: { $in: OPEN_STATUSES } }, { statusReport: { $null: true } }],
+      },
+      populate: { place: { fields: ['slug'] } },
+      sort: ['createdAt:asc'],
+    });
+
+    const pending = [];
+    for (const report of reports) {
+      try {
+        const { payload, ...diff } = await this.preview(report);
+        pending.push(diff);
+      } catch (err) {
+        pending.push({
+          report: { documentId: report.documentId, statusReport: report.statusReport, description: report.description },
+          place: { slug: report.place_slug },
+          error: err.message,
+        });
+      }
+    }
+    return pending;
+  },
+
+  /**
+   * Applies an open correction to its place's draft and closes the report.
+   * The published version is left alone, so the correction goes live
+   * together with any other pending edits when an editor publishes the
+   * place (which also runs the publish checks). Returns the diff that was
+   * applied.
+   */
+  async approve(documentId: string) {
+    const report = await strapi.documents(ISSUE_UID).findOne({
+      documentId,
+      populate: { place: { fields: ['slug'] } },
+    });
+    if (!report) throw new errors.NotFoundError('Issue report not found');
+    if (report.statusReport && !OPEN_STATUSES.includes(report.statusReport)) {
+      throw invalid(`Report is already ${report.statusReport}`);
+    }
+
+    const { payload, ...diff } = await this.preview(report);
+    const applied = diff.changes.filter((change) => change.changed).map((change) => change.field);
+
+    if (applied.length) {
+      await strapi.documents(PLACE_UID).update({ documentId: diff.place.documentId, data: payload });
+    }
+
+    // The report's draft is closed through the Document Service (transition
+    // rules, history, reporter notice); its published row only gets the new
+    // status and notes, so pending edits to the report stay unpublished.
+    const closed = {
+      statusReport: 'closed' as const,
+      admin_notes: applied.length
+        ? `Applied suggested correction to the place draft: ${applied.join(', ')}`
+        : 'Suggested correction approved; the place draft already matched',
+    };
+    await strapi.documents(ISSUE_UID).update({ documentId, data: closed });
+    await strapi.db.query(ISSUE_UID).updateMany({
+      where: { documentId, publishedAt: { $notNull: true } },
+      data: closed,
+    });
+
+    return { ...diff, applied };
+  },
+});
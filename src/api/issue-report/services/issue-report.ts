@@ -3,5 +3,312 @@
  */
 
 import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { afterCommit } from '../../../utils/db';
+import { notify } from '../../../utils/notifier';
+import { CORRECTION_TYPE } from './correction';
 
-export default factories.createCoreService('api::issue-report.issue-report');
+const ISSUE_UID = 'api::issue-report.issue-report';
+const PLACE_UID = 'api::place.place';
+
+type ReportStatus = 'open' | 'in_progress' | 'resolved' | 'closed';
+
+// Allowed moves out of each status. Reopening is only possible from
+// `resolved`; `closed` is final.
+export const TRANSITIONS: Record<ReportStatus, ReportStatus[]> = {
+  open: ['in_progress', 'resolved', 'closed'],
+  in_progress: ['resolved', 'closed'],
+  resolved: ['open', 'closed'],
+  closed: [],
+};
+
+// Statuses that still need attention. Legacy rows without a status count too.
+const OPEN_STATUSES: ReportStatus[] = ['open', 'in_progress'];
+
+const STATUS_LABELS: Record<ReportStatus, string> = {
+  open: 'Open',
+  in_progress: 'In progress',
+  resolved: 'Resolved',
+  closed: 'Closed',
+};
+
+// Edits to these fields are written to the report history.
+const AUDITED_FIELDS = [
+  'statusReport',
+  'admin_notes',
+  'issue_type',
+  'feedback_type',
+  'description',
+  'place_slug',
+  'place_name',
+];
+
+// True when relation input names a target, e.g. a documentId or a non-empty
+// `connect`/`set` list as sent by the admin panel.
+const namesRelation = (value) => {
+  if (!value) return false;
+  if (typeof value !== 'object') return true;
+  return ['connect', 'set'].some((key) => Array.isArray(value[key]) && value[key].length > 0);
+};
+
+const isStatus = (value): value is ReportStatus =>
+  typeof value === 'string' && Object.keys(TRANSITIONS).includes(value);
+
+// Who is behind the current request, as stored on history entries.
+const currentActor = () => {
+  const ctx = strapi.requestContext.get();
+  const { auth, user } = ctx?.state ?? {};
+
+  switch (auth?.strategy?.name) {
+    case 'admin':
+      return `admin:${user?.id}`;
+    case 'users-permissions':
+      return `user:${user?.id}`;
+    case 'api-token':
+      return `api-token:${auth.credentials?.id}`;
+    default:
+      return 'system';
+  }
+};
+
+const historyEntry = (from: ReportStatus | null, to: ReportStatus, changes = null) => ({
+  from_status: from,
+  to_status: to,
+  changes,
+  actor: currentActor(),
+  changed_at: new Date().toISOString(),
+});
+
+export default factories.createCoreService(ISSUE_UID, ({ strapi }) => ({
+  /**
+   * Document Service middleware for issue reports, so the rules hold for the
+   * admin panel as well as the REST API. New reports start `open`, status
+   * changes must follow TRANSITIONS, `resolved_at` and `history` are managed
+   * here, and the reporter is told once a status change has committed.
+   */
+  async triage(context, next) {
+    if (context.action === 'create') {
+      context.params.data = await this.prepareCreate(context.params.data ?? {});
+      return next();
+    }
+    if (context.action !== 'update') return next();
+
+    const { documentId } = context.params;
+    const current = await strapi.documents(ISSUE_UID).findOne({ documentId, populate: ['history'] });
+    if (!current) return next();
+
+    const { data, from, to } = await this.prepareUpdate(current, context.params.data ?? {});
+    context.params.data = data;
+
+    const result = await next();
+    if (from !== to) {
+      afterCommit('issue-report', () => this.notifyStatusChange(documentId, to));
+    }
+    return result;
+  },
+
+  /**
+   * Published place for a report's `place_slug`, or null when the slug is
+   * missing or matches no place.
+   */
+  async resolvePlace(slug: unknown) {
+    if (typeof slug !== 'string' || !slug.trim()) return null;
+
+    return strapi.documents(PLACE_UID).findFirst({
+      status: 'published',
+      filters: { slug: slug.trim() },
+      fields: ['name', 'slug'],
+    });
+  },
+
+  async prepareCreate(input: Record<string, any>) {
+    const { resolved_at, history, ...data } = input;
+    const status = data.statusReport ?? 'open';
+
+    if (status !== 'open') {
+      throw new errors.ValidationError('New reports must start as "open"', { statusReport: status });
+    }
+
+    if (data.issue_type === CORRECTION_TYPE) {
+      data.proposed_changes = strapi.service('api::issue-report.correction').normalize(data.proposed_changes);
+    }
+
+    if (!namesRelation(data.place)) {
+      const place = await this.resolvePlace(data.place_slug);
+      if (place) {
+        data.place = place.documentId;
+        data.place_name = data.place_name || place.name;
+      }
+    }
+
+    return { ...data, statusReport: status, history: [historyEntry(null, status)] };
+  },
+
+  async prepareUpdate(current, input: Record<string, any>) {
+    const { resolved_at, history, ...data } = input;
+
+    const issueType = data.issue_type === undefined ? current.issue_type : data.issue_type;
+    if (issueType === CORRECTION_TYPE && (data.issue_type !== undefined || data.proposed_changes !== undefined)) {
+      data.proposed_changes = strapi
+        .service('api::issue-report.correction')
+        .normalize(data.proposed_changes === undefined ? current.proposed_changes : data.proposed_changes);
+    }
+
+    // A corrected slug re-links the report unless a place was picked as well.
+    if ('place_slug' in data && data.place_slug !== current.place_slug && !namesRelation(data.place)) {
+      data.place = (await this.resolvePlace(data.place_slug))?.documentId ?? null;
+    }
+
+    const from: ReportStatus = isStatus(current.statusReport) ? current.statusReport : 'open';
+    const to = data.statusReport === undefined ? from : data.statusReport;
+
+    if (to !== from) {
+      if (!isStatus(to) || !TRANSITIONS[from].includes(to)) {
+        throw new errors.ValidationError(`Cannot move a report from "${from}" to "${to}"`, {
+          from,
+          to,
+          allowed: TRANSITIONS[from],
+        });
+      }
+      if (to === 'resolved') data.resolved_at = new Date().toISOString();
+      if (to === 'open') data.resolved_at = null;
+    }
+
+    const changes = {};
+    for (const field of AUDITED_FIELDS) {
+      if (!(field in data) || (data[field] ?? null) === (current[field] ?? null)) continue;
+      changes[field] = { from: current[field] ?? null, to: data[field] ?? null };
+    }
+
+    // History is rebuilt from the stored entries so it can only grow.
+    const entries = current.history ?? [];
+    data.history = Object.keys(changes).length ? [...entries, historyEntry(from, to, changes)] : entries;
+
+    return { data, from, to };
+  },
+
+  /**
+   * Open reports grouped by the place they are linked to, busiest places
+   * first, each with counts per `issue_type`. Reports whose slug matched no
+   * place are returned separately as `unlinked`.
+   */
+  async findOpenByPlace({ slug }: { slug?: string } = {}) {
+    const reports = await strapi.documents(ISSUE_UID).findMany({
+      filters: {
+        $and: [
+          { $or: [{ statusReport: { $in: OPEN_STATUSES } }, { statusReport: { $null: true } }] },
+          slug ? { place: { slug } } : {},
+        ],
+      },
+      fields: ['issue_type', 'statusReport', 'description', 'place_slug', 'place_name', 'createdAt'],
+      populate: { place: { fields: ['name', 'slug', 'province'] } },
+      sort: ['createdAt:desc'],
+    });
+
+    const groups = new Map<string, any>();
+    const unlinked = [];
+
+    for (const { id, place, ...issue } of reports as any[]) {
+      if (!place) {
+        unlinked.push(issue);
+        continue;
+      }
+
+      let group = groups.get(place.documentId);
+      if (!group) {
+        const { id: placeId, ...placeFields } = place;
+        group = { place: placeFields, total: 0, by_type: {}, issues: [] };
+        groups.set(place.documentId, group);
+      }
+
+      const type = issue.issue_type || 'other';
+      group.by_type[type] = (group.by_type[type] ?? 0) + 1;
+      group.total += 1;
+      group.issues.push(issue);
+    }
+
+    const places = Array.from(groups.values()).sort(
+      (a, b) => b.total - a.total || (a.place.name ?? '').localeCompare(b.place.name ?? '')
+    );
+    return { places, unlinked, total: reports.length };
+  },
+
+  /**
+   * One-off backfill linking reports created before the `place` relation
+   * existed. The relation is written on the draft and published rows
+   * directly, pointing at the place's draft and published rows, so no draft
+   * edits get published along the way. Slugs that match no place are logged
+   * and left unlinked.
+   */
+  async linkPlaces() {
+    const rows = await strapi.db.query(ISSUE_UID).findMany({
+      select: ['id', 'documentId', 'place_slug', 'publishedAt'],
+      where: { place: { id: { $null: true } }, place_slug: { $notNull: true } },
+    });
+
+    const linked = new Set<string>();
+    const unresolved = new Set<string>();
+
+    for (const row of rows) {
+      const place = await this.resolvePlace(row.place_slug);
+      if (!place) {
+        unresolved.add(row.place_slug);
+        continue;
+      }
+
+      const placeRow = row.publishedAt
+        ? place
+        : await strapi.db.query(PLACE_UID).findOne({
+            select: ['id'],
+            where: { documentId: place.documentId, publishedAt: null },
+          });
+      if (!placeRow) continue;
+
+      await strapi.db.query(ISSUE_UID).update({ where: { id: row.id }, data: { place: placeRow.id } });
+      linked.add(row.documentId);
+    }
+
+    strapi.log.info(`[issue-report] Linked ${linked.size} report(s) to places`);
+    if (unresolved.size) {
+      strapi.log.warn(`[issue-report] No place found for slug(s): ${Array.from(unresolved).join(', ')}`);
+    }
+    return { linked: linked.size, unresolved: Array.from(unresolved) };
+  },
+
+  /**
+   * Emails (or logs, see `notifications.driver`) the reporting user about
+   * the report's new status. Reports without a known user are skipped.
+   */
+  async notifyStatusChange(documentId: string, status: ReportStatus) {
+    const report = await strapi.db.query(ISSUE_UID).findOne({
+      where: { documentId },
+      populate: { users_permissions_user: { select: ['email', 'username'] } },
+    });
+    if (!report) return;
+
+    // Older reports only carry the legacy `user_id` column.
+    const user =
+      report.users_permissions_user ??
+      (report.user_id
+        ? await strapi.query('plugin::users-permissions.user').findOne({
+            where: { id: report.user_id },
+            select: ['email', 'username'],
+          })
+        : null);
+    if (!user?.email) return;
+
+    const place = report.place_name || report.place_slug || 'a place';
+    await notify({
+      to: user.email,
+      subject: `Your report about ${place} is now ${STATUS_LABELS[status].toLowerCase()}`,
+      text: [
+        `Hi ${user.username},`,
+        '',
+        `Thanks for reporting "${report.issue_type || 'an issue'}" on ${place}.`,
+        `Its status is now: ${STATUS_LABELS[status]}.`,
+        '',
+        'Africa Unexpected',
+      ].join('\n'),
+    });
+  },
+}));
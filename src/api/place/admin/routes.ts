@@ -0,0 +1,47 @@
+/**
+ * place admin routes
+ *
+ * Served to the admin panel (admin JWT, not the content API) and mounted
+ * from the app's register(), under the app name so the paths cannot clash
+ * with Strapi's own admin routes.
+ */
+
+import type { Core } from '@strapi/strapi';
+
+const canReadPlaces = {
+  name: 'admin::hasPermissions',
+  config: { actions: [['plugin::content-manager.explorer.read', 'api::place.place']] },
+};
+
+const router: Core.Router = {
+  type: 'admin',
+  prefix: '/africa-unexpected/places',
+  routes: [
+    {
+      // GET /africa-unexpected/places/amenity-tag-report?format=json|csv&top=10
+      method: 'GET',
+      path: '/amenity-tag-report',
+      handler: async (ctx) => {
+        const analytics = strapi.service('api::place.analytics');
+        const top = Number(ctx.query.top);
+        const report = await analytics.amenityTagReport({
+          topTags: Number.isInteger(top) && top > 0 ? Math.min(top, 100) : undefined,
+        });
+
+        if (ctx.query.format === 'csv') {
+          ctx.type = 'text/csv';
+          ctx.attachment('amenity-tag-report.csv');
+          ctx.body = analytics.toCsv(report);
+          return;
+        }
+        ctx.body = { data: report };
+      },
+      config: {
+        policies: ['admin::isAuthenticatedAdmin', canReadPlaces],
+      },
+      info: { apiName: 'place' },
+    },
+  ],
+};
+
+export default router;
@@ -0,0 +1,31 @@
+/**
+ * place lifecycles
+ */
+
+import { afterCommit } from '../../../../utils/db';
+
+// Publishing, unpublishing and deleting all go through create/delete of
+// individual rows, so every event re-syncs the whole document.
+const onPlaceChanged = (event) => {
+  strapi.service('api::place.place').clearSimilarCache();
+
+  const documentId = event.result?.documentId ?? event.params?.where?.documentId;
+  if (typeof documentId !== 'string') return;
+
+  afterCommit('search', () => strapi.service('api::search.search').syncPlace(documentId));
+  afterCommit('snapshots', () => strapi.service('api::place.place').refreshSnapshots(documentId));
+};
+
+export default {
+  afterCreate(event) {
+    onPlaceChanged(event);
+  },
+
+  afterUpdate(event) {
+    onPlaceChanged(event);
+  },
+
+  afterDelete(event) {
+    onPlaceChanged(event);
+  },
+};
@@ -3,5 +3,309 @@
  */
 
 import { factories } from '@strapi/strapi'
+import { isValidCoordinate } from '../../../utils/geo';
+import { findSavedVibe, normalizeVibe } from '../../../utils/vibe';
+import { parseIsoDate, seasonForDate, seasonForMonth } from '../../../utils/season';
+import { FACETS } from '../services/place';
 
-export default factories.createCoreController('api::place.place');
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+const MAX_ZOOM = 22;
+
+// `bbox` follows the GeoJSON order: minLng,minLat,maxLng,maxLat. A box
+// crossing the antimeridian has minLng > maxLng, as in GeoJSON.
+function parseBbox(raw: unknown) {
+  if (typeof raw !== 'string') return null;
+  const parts = raw.split(',').map(Number);
+  if (parts.length !== 4 || parts.some((n) => !Number.isFinite(n))) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!isValidCoordinate(minLat, minLng) || !isValidCoordinate(maxLat, maxLng)) return null;
+  if (minLat > maxLat) return null;
+
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+const toList = (raw: unknown): string[] =>
+  (Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : [])
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+export default factories.createCoreController('api::place.place', ({ strapi }) => ({
+  /**
+   * GET /places/nearby?lat=&lng=&radius_km=&limit=
+   */
+  async nearby(ctx) {
+    const { lat, lng, radius_km, limit } = ctx.query as Record<string, string>;
+    const config = strapi.config.get('places.nearby') as Record<string, number>;
+
+    const center = { lat: Number(lat), lng: Number(lng) };
+    if (!isValidCoordinate(center.lat, center.lng)) {
+      return ctx.badRequest('lat and lng must be valid decimal coordinates');
+    }
+
+    const radiusKm = radius_km === undefined ? config.defaultRadiusKm : Number(radius_km);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+      return ctx.badRequest('radius_km must be a positive number');
+    }
+
+    const maxResults = limit === undefined ? config.defaultLimit : parseInt(limit, 10);
+    if (!Number.isInteger(maxResults) || maxResults <= 0) {
+      return ctx.badRequest('limit must be a positive integer');
+    }
+
+    const results = await strapi.service('api::place.place').findNearby({
+      ...center,
+      radiusKm: clamp(radiusKm, 0, config.maxRadiusKm),
+      limit: clamp(maxResults, 1, config.maxLimit),
+    });
+
+    const data = await this.sanitizeOutput(results, ctx);
+
+    return {
+      data,
+      meta: {
+        lat: center.lat,
+        lng: center.lng,
+        radius_km: clamp(radiusKm, 0, config.maxRadiusKm),
+        count: results.length,
+      },
+    };
+  },
+
+  /**
+   * GET /places/map?bbox=minLng,minLat,maxLng,maxLat&zoom=
+   *
+   * Public route: only published places are returned, whatever `status` says.
+   */
+  async map(ctx) {
+    const { bbox, zoom } = ctx.query as Record<string, string>;
+
+    const box = parseBbox(bbox);
+    if (!box) {
+      return ctx.badRequest(
+        'bbox must be "minLng,minLat,maxLng,maxLat" with valid coordinates and minLat <= maxLat ' +
+          '(minLng > maxLng selects a box crossing the antimeridian)'
+      );
+    }
+
+    const zoomLevel = parseInt(zoom, 10);
+    if (!Number.isInteger(zoomLevel) || zoomLevel < 0 || zoomLevel > MAX_ZOOM) {
+      return ctx.badRequest(`zoom must be an integer between 0 and ${MAX_ZOOM}`);
+    }
+
+    const { total, clusters, pins } = await strapi.service('api::place.place').findForMap({
+      box,
+      zoom: zoomLevel,
+    });
+
+    return {
+      data: {
+        clusters,
+        pins: await this.sanitizeOutput(pins, ctx),
+      },
+      meta: { bbox: box, zoom: zoomLevel, total },
+    };
+  },
+
+  /**
+   * GET /places/:slug/similar?limit=
+   */
+  async similar(ctx) {
+    const { slug } = ctx.params;
+    const { limit } = ctx.query as Record<string, string>;
+    const config = strapi.config.get('places.similar') as Record<string, any>;
+
+    const maxResults = limit === undefined ? config.defaultLimit : parseInt(limit, 10);
+    if (!Number.isInteger(maxResults) || maxResults <= 0) {
+      return ctx.badRequest('limit must be a positive integer');
+    }
+
+    const results = await strapi
+      .service('api::place.place')
+      .findSimilar(slug, clamp(maxResults, 1, config.maxLimit));
+    if (!results) return ctx.notFound('Place not found');
+
+    return {
+      data: await this.sanitizeOutput(results, ctx),
+      meta: { slug, count: results.length },
+    };
+  },
+
+  /**
+   * GET /places/in-season?date=YYYY-MM-DD | month=1-12 [&long_stay=true&start=&limit=]
+   */
+  async inSeason(ctx) {
+    const { date, month, long_stay, start, limit } = ctx.query as Record<string, string>;
+    const seasons = strapi.config.get('places.seasons') as Record<string, number[]>;
+    const config = strapi.config.get('places.inSeason') as Record<string, number>;
+
+    let season: string | null = null;
+    if (date !== undefined) {
+      const parsed = parseIsoDate(date);
+      if (!parsed) return ctx.badRequest('date must be a valid YYYY-MM-DD date');
+      season = seasonForDate(parsed, seasons);
+    } else if (month !== undefined) {
+      const monthNumber = Number(month);
+      if (!Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12) {
+        return ctx.badRequest('month must be an integer between 1 and 12');
+      }
+      season = seasonForMonth(monthNumber, seasons);
+    } else {
+      return ctx.badRequest('Provide either date or month');
+    }
+
+    if (!season) return ctx.badRequest('No season is configured for that month');
+
+    const offset = start === undefined ? 0 : parseInt(start, 10);
+    const maxResults = limit === undefined ? config.defaultLimit : parseInt(limit, 10);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return ctx.badRequest('start must be a non-negative integer');
+    }
+    if (!Number.isInteger(maxResults) || maxResults <= 0) {
+      return ctx.badRequest('limit must be a positive integer');
+    }
+
+    const { results, total } = await strapi.service('api::place.place').findInSeason({
+      season,
+      longStay: long_stay === 'true',
+      start: offset,
+      limit: clamp(maxResults, 1, config.maxLimit),
+    });
+
+    return {
+      data: await this.sanitizeOutput(results, ctx),
+      meta: { season, start: offset, count: results.length, total },
+    };
+  },
+
+  /**
+   * GET /places/facets?province=&region=&amenities=&tags=&price=&best_season=&featured=
+   *
+   * Every parameter takes a comma-separated list of selected values.
+   */
+  async facets(ctx) {
+    const query = ctx.query as Record<string, unknown>;
+    const selection = Object.fromEntries(FACETS.map((facet) => [facet, toList(query[facet])]));
+
+    const { facets, groups, total } = await strapi.service('api::place.place').countFacets(selection);
+
+    return {
+      data: facets,
+      meta: { total, selection, groups },
+    };
+  },
+
+  /**
+   * GET /places/:slug/amenities
+   *
+   * The place's amenities grouped by category, in display order.
+   */
+  async amenities(ctx) {
+    const found = await strapi.service('api::place.place').findAmenityGroups(ctx.params.slug);
+    if (!found) return ctx.notFound('Place not found');
+
+    const { place, groups, summary } = found;
+    return {
+      data: groups,
+      meta: {
+        slug: place.slug,
+        total: groups.reduce((sum, group) => sum + group.amenities.length, 0),
+        facilities_summary: summary,
+      },
+    };
+  },
+
+  /**
+   * GET /places/:slug/photo-credits
+   *
+   * Attribution for each of the place's photos, ready to render.
+   */
+  async photoCredits(ctx) {
+    const found = await strapi.service('api::place.place').findPhotoCredits(ctx.params.slug);
+    if (!found) return ctx.notFound('Place not found');
+
+    const { place, credits } = found;
+    return {
+      data: credits,
+      meta: {
+        slug: place.slug,
+        total: credits.length,
+        incomplete: credits.filter((credit) => !credit.complete).length,
+      },
+    };
+  },
+
+  /**
+   * POST /places/vibe-match
+   *
+   * Body: { vibe?, province?, amenities?, limit? }. Logged-in users may omit
+   * `vibe` to match against the preference saved on their profile.
+   */
+  async vibeMatch(ctx) {
+    const body = (ctx.request.body || {}) as Record<string, any>;
+    const config = strapi.config.get('places.vibe') as Record<string, number>;
+
+    let vibe = body.vibe === undefined ? null : normalizeVibe(body.vibe);
+    if (body.vibe !== undefined && !vibe) {
+      return ctx.badRequest('vibe sliders must be numbers between 0 and 100');
+    }
+
+    if (!vibe && ctx.state.user) {
+      vibe = await findSavedVibe(ctx.state.user.id);
+    }
+    if (!vibe) {
+      return ctx.badRequest('Provide vibe sliders or save a preferred vibe first');
+    }
+
+    const maxResults = body.limit === undefined ? config.defaultLimit : parseInt(body.limit, 10);
+    if (!Number.isInteger(maxResults) || maxResults <= 0) {
+      return ctx.badRequest('limit must be a positive integer');
+    }
+
+    const results = await strapi.service('api::place.place').matchVibe({
+      vibe,
+      province: typeof body.province === 'string' ? body.province.trim() : undefined,
+      amenities: toList(body.amenities),
+      limit: clamp(maxResults, 1, config.maxLimit),
+    });
+
+    return {
+      data: await this.sanitizeOutput(results, ctx),
+      meta: { vibe, count: results.length },
+    };
+  },
+
+  /**
+   * GET /me/vibe
+   */
+  async findMyVibe(ctx) {
+    if (!ctx.state.user) return ctx.unauthorized();
+
+    return { data: await findSavedVibe(ctx.state.user.id) };
+  },
+
+  /**
+   * PUT /me/vibe — stores the preferred vibe under `profile.vibe`, leaving
+   * the rest of the profile JSON untouched.
+   */
+  async updateMyVibe(ctx) {
+    if (!ctx.state.user) return ctx.unauthorized();
+
+    const body = (ctx.request.body || {}) as Record<string, any>;
+    const vibe = normalizeVibe(body.vibe);
+    if (!vibe) {
+      return ctx.badRequest('vibe sliders must be numbers between 0 and 100');
+    }
+
+    const userQuery = strapi.query('plugin::users-permissions.user');
+    const user = await userQuery.findOne({ where: { id: ctx.state.user.id }, select: ['profile'] });
+
+    await userQuery.update({
+      where: { id: ctx.state.user.id },
+      data: { profile: { ...(user?.profile || {}), vibe } },
+    });
+
+    return { data: vibe };
+  },
+}));
@@ -0,0 +1,61 @@
+/**
+ * place custom routes
+ *
+ * Loaded before the core router so static paths such as `/places/nearby`
+ * are not captured by `/places/:id`.
+ */
+
+export default {
+  routes: [
+    {
+      method: 'GET',
+      path: '/places/nearby',
+      handler: 'api::place.place.nearby',
+    },
+    {
+      method: 'GET',
+      path: '/places/map',
+      handler: 'api::place.place.map',
+    },
+    {
+      method: 'GET',
+      path: '/places/in-season',
+      handler: 'api::place.place.inSeason',
+    },
+    {
+      method: 'GET',
+      path: '/places/facets',
+      handler: 'api::place.place.facets',
+    },
+    {
+      method: 'GET',
+      path: '/places/:slug/amenities',
+      handler: 'api::place.place.amenities',
+    },
+    {
+      method: 'GET',
+      path: '/places/:slug/photo-credits',
+      handler: 'api::place.place.photoCredits',
+    },
+    {
+      method: 'GET',
+      path: '/places/:slug/similar',
+      handler: 'api::place.place.similar',
+    },
+    {
+      method: 'POST',
+      path: '/places/vibe-match',
+      handler: 'api::place.place.vibeMatch',
+    },
+    {
+      method: 'GET',
+      path: '/me/vibe',
+      handler: 'api::place.place.findMyVibe',
+    },
+    {
+      method: 'PUT',
+      path: '/me/vibe',
+      handler: 'api::place.place.updateMyVibe',
+    },
+  ],
+};
@@ -0,0 +1,41 @@
+/**
+ * place analytics service
+ */
+
+import fs from 'fs';
+import path from 'path';
+import type { Core } from '@strapi/strapi';
+
+const PLACE_UID = 'api::place.place';
+const AMENITY_UID = 'api::amenity.amenity';
+const CATALOGUE_FILE = 'amenitiesEnrichment.json';
+
+// Shared with the amenityTagReport.js CLI so both produce the same report.
+const placeAnalytics = () => require(path.join(strapi.dirs.app.root, 'placeAnalytics.js'));
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  /**
+   * Amenity usage, unused amenities, places without amenities, tag
+   * spelling variants and the top tags per province across published
+   * places. See placeAnalytics.js for the report shape.
+   */
+  async amenityTagReport({ topTags }: { topTags?: number } = {}) {
+    const [places, amenities] = await Promise.all([
+      strapi.documents(PLACE_UID).findMany({
+        status: 'published',
+        fields: ['slug', 'name', 'province'],
+        populate: { tag: true, amenities: { fields: ['slug'] } },
+      }),
+      strapi.documents(AMENITY_UID).findMany({ status: 'published', fields: ['slug', 'name'] }),
+    ]);
+
+    const cataloguePath = path.join(strapi.dirs.app.root, CATALOGUE_FILE);
+    const catalogue = fs.existsSync(cataloguePath) ? JSON.parse(fs.readFileSync(cataloguePath, 'utf-8')) : [];
+
+    return placeAnalytics().buildAmenityTagReport({ places, amenities, catalogue }, { topTags });
+  },
+
+  toCsv(report) {
+    return placeAnalytics().amenityTagReportToCsv(report);
+  },
+});
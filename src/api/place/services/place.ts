@@ -2,6 +2,622 @@
  * place service
  */
 
+import path from 'path';
 import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { BoundingBox, boundingBoxAround, haversineKm, roundKm } from '../../../utils/geo';
+import { cellSizeForZoom, gridCluster } from '../../../utils/cluster';
+import { VibeProfile, vibeSimilarity } from '../../../utils/vibe';
+import { priceBandIndex, priceBandLabel } from '../../../utils/price';
+import { jaccard } from '../../../utils/similarity';
+import { YEAR_ROUND } from '../../../utils/season';
 
-export default factories.createCoreService('api::place.place');
+const PLACE_UID = 'api::place.place';
+
+// User collections that keep a denormalised copy of a place for list views.
+const SNAPSHOT_UIDS = ['api::saved-campsite.saved-campsite', 'api::recently-viewed.recently-viewed'] as const;
+const SNAPSHOT_FIELDS = ['place_name', 'place_image', 'place_region'];
+
+// Lightweight shape used for lists, map pins and recommendation strips.
+const CARD_FIELDS = [
+  'name',
+  'slug',
+  'province',
+  'region',
+  'town',
+  'latitude',
+  'longitude',
+  'rating',
+  'total_reviews',
+  'price_pp',
+  'featured',
+];
+
+// Amenities with what is needed to group them by category.
+const AMENITY_POPULATE = {
+  fields: ['slug', 'name'],
+  populate: {
+    icon: { fields: ['url', 'alternativeText'] },
+    category: { fields: ['slug', 'name', 'display_order'] },
+  },
+};
+
+// Category grouping and summary rules shared with enrichDocuments.js.
+const placeMerge = () => require(path.join(strapi.dirs.app.root, 'placeMerge.js'));
+
+// Attribution rules shared with the harvesters and syncPlace.js.
+const photoCredits = () => require(path.join(strapi.dirs.app.root, 'photoCredits.js'));
+
+const CARD_POPULATE = {
+  cover_photo: { fields: ['url', 'formats', 'alternativeText', 'width', 'height'] },
+};
+
+// Results of `findSimilar`, keyed by slug and limit. Cleared by the place
+// lifecycles whenever any place changes.
+const similarCache = new Map<string, { expiresAt: number; value: any[] }>();
+
+const tagSet = (place) =>
+  (place.tag || []).map((t) => (t.label || '').trim().toLowerCase()).filter(Boolean);
+
+const amenitySet = (place) => (place.amenities || []).map((a) => a.slug).filter(Boolean);
+
+export const FACETS = ['province', 'region', 'amenities', 'tags', 'price', 'best_season', 'featured'] as const;
+
+export type Facet = (typeof FACETS)[number];
+export type FacetSelection = Partial<Record<Facet, string[]>>;
+
+const tally = (counts: Map<string, number>, value: unknown) => {
+  if (value === null || value === undefined || value === '') return;
+  const key = String(value);
+  counts.set(key, (counts.get(key) ?? 0) + 1);
+};
+
+export default factories.createCoreService(PLACE_UID, ({ strapi }) => ({
+  /**
+   * The `place_*` snapshot fields stored on saved-campsite and
+   * recently-viewed records, built from the published place. Returns null
+   * when no published place has that slug.
+   */
+  async findSnapshot(slug: string) {
+    const place = await strapi.documents(PLACE_UID).findFirst({
+      status: 'published',
+      filters: { slug },
+      fields: ['name', 'slug', 'region', 'province'],
+      populate: { cover_photo: { fields: ['url'] } },
+    });
+    if (!place) return null;
+
+    return {
+      place_slug: place.slug,
+      place_name: place.name,
+      place_image: (place.cover_photo as any)?.url ?? null,
+      place_region: place.region || place.province || null,
+    };
+  },
+
+  /**
+   * Rewrites stale snapshots of the place in every user collection. Only
+   * rows whose copy differs are touched.
+   */
+  async refreshSnapshots(documentId: string) {
+    const place = await strapi.documents(PLACE_UID).findOne({
+      documentId,
+      status: 'published',
+      fields: ['slug'],
+    });
+    if (!place?.slug) return 0;
+
+    const snapshot = await this.findSnapshot(place.slug);
+    let refreshed = 0;
+
+    for (const uid of SNAPSHOT_UIDS) {
+      const rows = await strapi.db.query(uid).findMany({
+        select: ['id', ...SNAPSHOT_FIELDS],
+        where: { place_slug: place.slug },
+      });
+      const stale = rows.filter((row) => SNAPSHOT_FIELDS.some((field) => row[field] !== snapshot[field]));
+      if (stale.length === 0) continue;
+
+      await strapi.db.query(uid).updateMany({
+        where: { id: { $in: stale.map((row) => row.id) } },
+        data: Object.fromEntries(SNAPSHOT_FIELDS.map((field) => [field, snapshot[field]])),
+      });
+      refreshed += stale.length;
+    }
+
+    return refreshed;
+  },
+
+  /**
+   * Recomputes the place's community rating (mean of approved first-party
+   * reviews, one decimal) and count. Google's `rating`/`total_reviews` are
+   * left alone. Written with a raw query so place lifecycles don't fire.
+   */
+  async refreshCommunityRating(documentId: string) {
+    // `id` stays selected: the relation filter makes the query DISTINCT, and
+    // equal ratings alone would collapse into one row.
+    const reviews = await strapi.db.query('api::community-review.community-review').findMany({
+      select: ['id', 'rating'],
+      where: { moderation_status: 'approved', place: { documentId } },
+    });
+
+    const count = reviews.length;
+    const total = reviews.reduce((sum, review) => sum + Number(review.rating), 0);
+    const rating = count ? Math.round((total / count) * 10) / 10 : null;
+
+    await strapi.db.query(PLACE_UID).updateMany({
+      where: { documentId },
+      data: { community_rating: rating, community_review_count: count },
+    });
+    return { rating, count };
+  },
+
+  /**
+   * Published place cards for the given document ids, in the same order.
+   */
+  async findCards(documentIds: string[]) {
+    if (documentIds.length === 0) return [];
+
+    const places = await strapi.documents(PLACE_UID).findMany({
+      status: 'published',
+      fields: CARD_FIELDS as any,
+      populate: CARD_POPULATE as any,
+      filters: { documentId: { $in: documentIds } },
+    });
+
+    const byId = new Map(places.map((place) => [place.documentId, place]));
+    return documentIds.map((id) => byId.get(id)).filter(Boolean);
+  },
+
+  /**
+   * The published place's amenities grouped by category, in display order,
+   * with the facilities summary those groups produce. Returns null when no
+   * published place has that slug.
+   */
+  async findAmenityGroups(slug: string) {
+    const place = await strapi.documents(PLACE_UID).findFirst({
+      status: 'published',
+      filters: { slug },
+      fields: ['slug', 'name'],
+      populate: { amenities: AMENITY_POPULATE } as any,
+    });
+    if (!place) return null;
+
+    const { groupAmenitiesByCategory, buildFacilitiesSummary } = placeMerge();
+    const groups = groupAmenitiesByCategory((place as any).amenities ?? []);
+    return { place, groups, summary: buildFacilitiesSummary(groups) };
+  },
+
+  /**
+   * Credits for the published place's photos, in display order, with the
+   * license resolved and a ready-made credit line. `complete` is false for
+   * photos still missing attribution. Returns null when no published place
+   * has that slug.
+   */
+  async findPhotoCredits(slug: string) {
+    const place = await strapi.documents(PLACE_UID).findFirst({
+      status: 'published',
+      filters: { slug },
+      fields: ['slug', 'name'],
+      populate: {
+        photos: { populate: { image: { fields: ['url', 'alternativeText', 'width', 'height'] } } },
+        cover_photo: { fields: ['id'] },
+      } as any,
+    });
+    if (!place) return null;
+
+    const { LICENSES, missingAttribution, formatCredit, safeUrl } = photoCredits();
+    const coverId = (place as any).cover_photo?.id ?? null;
+
+    const credits = ((place as any).photos ?? [])
+      .filter((photo) => photo.image)
+      .map(({ id, image, attribution, ...photo }) => {
+        const license = LICENSES[photo.license];
+        return {
+          image: { url: image.url, alternativeText: image.alternativeText, width: image.width, height: image.height },
+          cover: image.id === coverId,
+          source: photo.source ?? null,
+          author_name: photo.author_name ?? null,
+          author_url: safeUrl(photo.author_url),
+          license: license ? { code: photo.license, label: license.label, url: license.url } : null,
+          harvested_at: photo.harvested_at ?? null,
+          credit: formatCredit(photo),
+          complete: missingAttribution(photo).length === 0,
+        };
+      });
+    return { place, credits };
+  },
+
+  /**
+   * Document Service middleware for places: publishing is refused while any
+   * photo lacks its source, license or a required author. Checked on
+   * `publish` and on create/update calls with `status: 'published'` (the
+   * REST default). Those check the `photos` being written, or the draft's
+   * photos when the call leaves them alone, since the draft is what goes
+   * live.
+   */
+  async guardPhotoAttribution(context, next) {
+    const { action, params } = context;
+    const publishes =
+      action === 'publish' || ((action === 'create' || action === 'update') && params.status === 'published');
+    if (!publishes) return next();
+
+    let photos = action === 'publish' ? undefined : params.data?.photos;
+    if (photos === undefined && params.documentId) {
+      const draft = await strapi.documents(PLACE_UID).findOne({
+        documentId: params.documentId,
+        locale: params.locale,
+        status: 'draft',
+        fields: ['slug'],
+        populate: { photos: true },
+      });
+      photos = draft?.photos;
+    }
+
+    if (Array.isArray(photos)) {
+      const { missingAttribution } = photoCredits();
+      const incomplete = photos
+        .map((photo, index) => ({ index, missing: missingAttribution(photo ?? {}) }))
+        .filter(({ missing }) => missing.length);
+
+      if (incomplete.length) {
+        throw new errors.ValidationError(
+          `${incomplete.length} photo(s) need attribution (source, license and author) before this place can be published`,
+          { photos: incomplete }
+        );
+      }
+    }
+    return next();
+  },
+
+  /**
+   * Published places within `radiusKm` of a coordinate, closest first.
+   * A bounding box narrows the query in the database, the exact distance is
+   * then computed here so it behaves the same on every supported client.
+   */
+  async findNearby({ lat, lng, radiusKm, limit }) {
+    const center = { lat, lng };
+    const box = boundingBoxAround(center, radiusKm);
+
+    const places = await strapi.documents(PLACE_UID).findMany({
+      status: 'published',
+      fields: CARD_FIELDS as any,
+      populate: CARD_POPULATE as any,
+      filters: {
+        latitude: { $between: [box.minLat, box.maxLat] },
+        longitude: { $between: [box.minLng, box.maxLng] },
+      },
+    });
+
+    return places
+      .map((place) => ({
+        ...place,
+        distance: haversineKm(center, { lat: place.latitude, lng: place.longitude }),
+      }))
+      .filter((place) => place.distance <= radiusKm)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit)
+      .map(({ distance, ...place }) => ({ ...place, distance_km: roundKm(distance) }));
+  },
+
+  /**
+   * Places inside a map viewport, grouped into grid clusters below
+   * `clusterMaxZoom`. Single-member cells are returned as plain pins.
+   */
+  async findForMap({ box, zoom }: { box: BoundingBox; zoom: number }) {
+    const config = strapi.config.get('places.map') as Record<string, number>;
+
+    // minLng > maxLng: the box wraps around the antimeridian
+    const longitude =
+      box.minLng <= box.maxLng
+        ? { longitude: { $between: [box.minLng, box.maxLng] as [number, number] } }
+        : { $or: [{ longitude: { $gte: box.minLng } }, { longitude: { $lte: box.maxLng } }] };
+
+    const places = await strapi.documents(PLACE_UID).findMany({
+      status: 'published',
+      fields: CARD_FIELDS as any,
+      populate: CARD_POPULATE as any,
+      filters: {
+        latitude: { $between: [box.minLat, box.maxLat] },
+        ...longitude,
+      },
+      sort: [{ featured: 'desc' }, { rating: 'desc' }],
+    });
+
+    if (zoom >= config.clusterMaxZoom) {
+      return { total: places.length, clusters: [], pins: places };
+    }
+
+    const clusters = [];
+    const pins = [];
+    for (const cell of gridCluster(places, cellSizeForZoom(zoom, config.cellSizePx))) {
+      if (cell.count === 1) {
+        pins.push(cell.members[0]);
+        continue;
+      }
+      clusters.push({
+        count: cell.count,
+        centroid: cell.centroid,
+        sample_slugs: cell.members.slice(0, config.sampleSize).map((place) => place.slug),
+      });
+    }
+
+    return { total: places.length, clusters, pins };
+  },
+
+  /**
+   * Published places ranked by how closely their vibe profile matches
+   * `vibe`. Places without a profile are left out. When `amenities` is
+   * given, a place must offer every one of them.
+   */
+  async matchVibe({
+    vibe,
+    province,
+    amenities = [],
+    limit,
+  }: {
+    vibe: VibeProfile;
+    province?: string;
+    amenities?: string[];
+    limit: number;
+  }) {
+    const config = strapi.config.get('places.vibe') as Record<string, number>;
+
+    const filters: Record<string, any> = {};
+    if (province) filters.province = { $eqi: province };
+    if (amenities.length > 0) filters.amenities = { slug: { $in: amenities } };
+
+    const places = await strapi.documents(PLACE_UID).findMany({
+      status: 'published',
+      fields: CARD_FIELDS as any,
+      populate: { ...CARD_POPULATE, vibeprofile: true, amenities: { fields: ['slug'] } } as any,
+      filters,
+    });
+
+    const ranked = [];
+    for (const { amenities: placeAmenities, ...place } of places as any[]) {
+      const slugs = new Set((placeAmenities || []).map((a) => a.slug));
+      if (!amenities.every((slug) => slugs.has(slug))) continue;
+
+      const match = vibeSimilarity(vibe, place.vibeprofile);
+      if (!match || match.score < config.minScore) continue;
+
+      ranked.push({
+        ...place,
+        vibe_score: match.score,
+        matched_sliders: match.sliders.slice(0, config.topSliders),
+      });
+    }
+
+    return ranked.sort((a, b) => b.vibe_score - a.vibe_score).slice(0, limit);
+  },
+
+  /**
+   * Other published places ranked against the place with `slug` by shared
+   * amenities, tags, vibe, price band and distance. Weights come from
+   * `places.similar.weights`; results are cached for `ttlSeconds`.
+   * Returns null when the slug does not match a published place.
+   */
+  async findSimilar(slug: string, limit: number) {
+    const config = strapi.config.get('places.similar') as Record<string, any>;
+    const cacheKey = `${slug}|${limit}`;
+
+    const cached = similarCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    const places = (await strapi.documents(PLACE_UID).findMany({
+      status: 'published',
+      fields: CARD_FIELDS as any,
+      populate: {
+        ...CARD_POPULATE,
+        vibeprofile: true,
+        tag: true,
+        amenities: { fields: ['slug'] },
+      } as any,
+    })) as any[];
+
+    const source = places.find((place) => place.slug === slug);
+    if (!source) return null;
+
+    const { weights, maxDistanceKm } = config;
+    const priceBands = strapi.config.get('places.priceBands') as number[];
+    const totalWeight = Object.values(weights as Record<string, number>).reduce((a, b) => a + b, 0) || 1;
+
+    const sourceAmenities = amenitySet(source);
+    const sourceTags = tagSet(source);
+    const sourceBand = priceBandIndex(source.price_pp, priceBands);
+    const sourceHasCoords = source.latitude !== null && source.longitude !== null;
+
+    const ranked = places
+      .filter((place) => place.documentId !== source.documentId)
+      .map(({ vibeprofile, tag, amenities, ...place }) => {
+        const vibe = vibeSimilarity(source.vibeprofile || {}, vibeprofile);
+        const band = priceBandIndex(place.price_pp, priceBands);
+
+        let distanceKm = null;
+        if (sourceHasCoords && place.latitude !== null && place.longitude !== null) {
+          distanceKm = haversineKm(
+            { lat: source.latitude, lng: source.longitude },
+            { lat: place.latitude, lng: place.longitude }
+          );
+        }
+
+        const breakdown = {
+          amenities: jaccard(sourceAmenities, amenitySet({ amenities })),
+          tags: jaccard(sourceTags, tagSet({ tag })),
+          vibe: vibe ? vibe.score / 100 : 0,
+          price: sourceBand === null || band === null ? 0 : Math.max(0, 1 - Math.abs(sourceBand - band) / 2),
+          distance: distanceKm === null ? 0 : Math.max(0, 1 - distanceKm / maxDistanceKm),
+        };
+
+        const score = Object.keys(breakdown).reduce(
+          (sum, key) => sum + breakdown[key] * (weights[key] ?? 0),
+          0
+        );
+
+        return {
+          ...place,
+          similarity: Math.round((score / totalWeight) * 1000) / 10,
+          similarity_breakdown: Object.fromEntries(
+            Object.entries(breakdown).map(([key, value]) => [key, Math.round(value * 100) / 100])
+          ),
+          distance_km: distanceKm === null ? null : roundKm(distanceKm),
+        };
+      })
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+
+    similarCache.set(cacheKey, { expiresAt: Date.now() + config.ttlSeconds * 1000, value: ranked });
+    return ranked;
+  },
+
+  clearSimilarCache() {
+    similarCache.clear();
+  },
+
+  /**
+   * Published places whose best season is `season` (or year-round) and
+   * whose avoid season is not.
+   */
+  async findInSeason({
+    season,
+    longStay,
+    start,
+    limit,
+  }: {
+    season: string;
+    longStay?: boolean;
+    start: number;
+    limit: number;
+  }) {
+    const conditions: Record<string, any>[] = [
+      { seasonalguide: { best_season: { $in: [season, YEAR_ROUND] } } },
+      {
+        $or: [
+          { seasonalguide: { avoid_season: { $null: true } } },
+          { seasonalguide: { avoid_season: { $ne: season } } },
+        ],
+      },
+    ];
+    if (longStay) conditions.push({ seasonalguide: { long_stay_friendly: true } });
+
+    const query = { status: 'published' as const, filters: { $and: conditions } };
+
+    const [results, total] = await Promise.all([
+      strapi.documents(PLACE_UID).findMany({
+        ...query,
+        fields: CARD_FIELDS as any,
+        populate: { ...CARD_POPULATE, seasonalguide: true } as any,
+        sort: [{ featured: 'desc' }, { rating: 'desc' }, { name: 'asc' }],
+        start,
+        limit,
+      }),
+      strapi.documents(PLACE_UID).count(query),
+    ]);
+
+    return { results, total };
+  },
+
+  /**
+   * Option counts for every facet of the published places. Each facet is
+   * counted against the places matching all *other* selected facets, so
+   * options within a facet stay selectable as alternatives (OR), while
+   * different facets narrow each other (AND). Amenity options carry their
+   * category in `group`; `groups.amenities` lists the categories in display
+   * order so filters can be shown in sections.
+   */
+  async countFacets(selection: FacetSelection) {
+    const priceBands = strapi.config.get('places.priceBands') as number[];
+
+    const places = (await strapi.documents(PLACE_UID).findMany({
+      status: 'published',
+      fields: ['province', 'region', 'price_pp', 'featured'],
+      populate: {
+        amenities: { fields: ['slug', 'name'], populate: { category: { fields: ['slug', 'name', 'display_order'] } } },
+        tag: true,
+        seasonalguide: { fields: ['best_season'] },
+      },
+    })) as any[];
+
+    const amenityNames = new Map<string, string>();
+    const amenityGroups = new Map<string, string | null>();
+    const categories = new Map<string, { slug: string; name: string; display_order: number | null }>();
+    const tagLabels = new Map<string, string>();
+
+    // Facet values of each place, normalised to lists of distinct strings so
+    // each place counts once per option.
+    const rows = places.map((place) => {
+      const band = priceBandIndex(place.price_pp, priceBands);
+      for (const a of place.amenities || []) {
+        if (!a.slug) continue;
+        amenityNames.set(a.slug, a.name);
+        amenityGroups.set(a.slug, a.category?.slug ?? null);
+        if (a.category?.slug) categories.set(a.category.slug, a.category);
+      }
+      for (const t of place.tag || []) {
+        const label = (t.label || '').trim();
+        if (label && !tagLabels.has(label.toLowerCase())) tagLabels.set(label.toLowerCase(), label);
+      }
+
+      return {
+        province: [place.province].filter(Boolean),
+        region: [place.region].filter(Boolean),
+        amenities: [...new Set<string>((place.amenities || []).map((a) => a.slug).filter(Boolean))],
+        tags: [...new Set<string>((place.tag || []).map((t) => (t.label || '').trim().toLowerCase()).filter(Boolean))],
+        price: band === null ? [] : [priceBandLabel(band, priceBands)],
+        best_season: [place.seasonalguide?.best_season].filter(Boolean),
+        featured: [String(Boolean(place.featured))],
+      } as Record<Facet, string[]>;
+    });
+
+    const wanted = Object.fromEntries(
+      FACETS.map((facet) => [
+        facet,
+        (selection[facet] || []).map((v) => (facet === 'tags' ? v.toLowerCase() : v)),
+      ])
+    ) as Record<Facet, string[]>;
+
+    const matches = (row: Record<Facet, string[]>, except?: Facet) =>
+      FACETS.every(
+        (facet) =>
+          facet === except ||
+          wanted[facet].length === 0 ||
+          wanted[facet].some((value) => row[facet].includes(value))
+      );
+
+    const facets = {} as Record<
+      Facet,
+      { value: string; label: string; count: number; selected: boolean; group?: string | null }[]
+    >;
+    for (const facet of FACETS) {
+      const counts = new Map<string, number>();
+      for (const row of rows) {
+        if (!matches(row, facet)) continue;
+        for (const value of row[facet]) tally(counts, value);
+      }
+      for (const value of wanted[facet]) if (!counts.has(value)) counts.set(value, 0);
+
+      facets[facet] = Array.from(counts, ([value, count]) => ({
+        value,
+        label:
+          facet === 'amenities'
+            ? amenityNames.get(value) ?? value
+            : facet === 'tags'
+            ? tagLabels.get(value) ?? value
+            : value,
+        count,
+        selected: wanted[facet].includes(value),
+        ...(facet === 'amenities' && { group: amenityGroups.get(value) ?? null }),
+      })).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+
+    const order = (category) => category.display_order ?? Number.MAX_SAFE_INTEGER;
+    const groups = {
+      amenities: Array.from(categories.values())
+        .sort((a, b) => order(a) - order(b) || a.name.localeCompare(b.name))
+        .map((category) => ({ value: category.slug, label: category.name, display_order: category.display_order })),
+    };
+
+    return { facets, groups, total: rows.filter((row) => matches(row)).length };
+  },
+}));
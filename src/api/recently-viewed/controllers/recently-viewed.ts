@@ -3,5 +3,52 @@
  */
 
 import { factories } from '@strapi/strapi'
+import { ownerScopedActions } from '../../../utils/owner-scoped';
 
-export default factories.createCoreController('api::recently-viewed.recently-viewed');
+const clamp = (value: number, min: number, max: number) => Math.min(max, Math.max(min, value));
+
+export default factories.createCoreController('api::recently-viewed.recently-viewed', ({ strapi }) => ({
+  ...ownerScopedActions('api::recently-viewed.recently-viewed'),
+
+  /**
+   * POST /recently-viewed/track
+   *
+   * Body: { place_slug }. Upserts the user's entry for the place and bumps
+   * `viewed_at`; snapshot fields sent by the client are ignored.
+   */
+  async track(ctx) {
+    if (!ctx.state.user) return ctx.unauthorized();
+
+    const body = (ctx.request.body || {}) as Record<string, any>;
+    const input = body.data ?? body;
+
+    const slug = typeof input.place_slug === 'string' ? input.place_slug.trim() : '';
+    if (!slug) return ctx.badRequest('place_slug is required');
+
+    const entry = await strapi
+      .service('api::recently-viewed.recently-viewed')
+      .track({ userId: ctx.state.user.id, slug });
+
+    return { data: await this.sanitizeOutput(entry, ctx) };
+  },
+
+  /**
+   * GET /me/recently-viewed?start=&limit=
+   */
+  async findMine(ctx) {
+    if (!ctx.state.user) return ctx.unauthorized();
+
+    const { defaultLimit, maxEntries } = strapi.config.get('recently-viewed') as Record<string, number>;
+    const start = Math.max(0, Number(ctx.query.start) || 0);
+    const limit = clamp(Number(ctx.query.limit) || defaultLimit, 1, Math.max(1, maxEntries));
+
+    const { results, total } = await strapi
+      .service('api::recently-viewed.recently-viewed')
+      .findHistory({ userId: ctx.state.user.id, start, limit });
+
+    return {
+      data: await this.sanitizeOutput(results, ctx),
+      meta: { start, count: results.length, total },
+    };
+  },
+}));
@@ -0,0 +1,18 @@
+/**
+ * recently-viewed custom routes
+ */
+
+export default {
+  routes: [
+    {
+      method: 'POST',
+      path: '/recently-viewed/track',
+      handler: 'api::recently-viewed.recently-viewed.track',
+    },
+    {
+      method: 'GET',
+      path: '/me/recently-viewed',
+      handler: 'api::recently-viewed.recently-viewed.findMine',
+    },
+  ],
+};
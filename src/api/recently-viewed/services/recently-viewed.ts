@@ -3,5 +3,107 @@
  */
 
 import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { withKeyLock } from '../../../utils/lock';
 
-export default factories.createCoreService('api::recently-viewed.recently-viewed');
+const RECENT_UID = 'api::recently-viewed.recently-viewed';
+
+const ownedBy = (userId) => ({ users_permissions_user: { id: userId } });
+
+export default factories.createCoreService(RECENT_UID, ({ strapi }) => ({
+  /**
+   * Entries created without a view time were viewed now.
+   */
+  async create(params) {
+    return super.create({ ...params, data: { viewed_at: new Date().toISOString(), ...params?.data } });
+  },
+
+  /**
+   * Records a view of `slug`, moving an existing entry to the top instead of
+   * adding another one, then trims the user's history to `maxEntries`.
+   * Snapshot fields always come from the published place.
+   */
+  async track({ userId, slug }: { userId: number; slug: string }) {
+    return withKeyLock(`recently-viewed:${userId}`, async () => {
+      const snapshot = await strapi.service('api::place.place').findSnapshot(slug);
+      if (!snapshot) throw new errors.NotFoundError(`Place "${slug}" not found`);
+
+      const rows = await strapi.db.query(RECENT_UID).findMany({
+        select: ['documentId'],
+        where: { place_slug: slug, ...ownedBy(userId) },
+      });
+      const [documentId, ...duplicates] = Array.from(new Set(rows.map((row) => row.documentId)));
+      const data = { ...snapshot, viewed_at: new Date().toISOString() } as any;
+
+      for (const duplicate of duplicates) {
+        await strapi.documents(RECENT_UID).delete({ documentId: duplicate });
+      }
+
+      const entry = documentId
+        ? await strapi.documents(RECENT_UID).update({ documentId, data, status: 'published' })
+        : await strapi.documents(RECENT_UID).create({
+            data: { ...data, users_permissions_user: userId },
+            status: 'published',
+          });
+
+      await this.trim(userId);
+      return entry;
+    });
+  },
+
+  /**
+   * Deletes the user's oldest entries beyond the configured cap.
+   */
+  async trim(userId: number) {
+    const maxEntries = Math.max(1, strapi.config.get('recently-viewed.maxEntries', 20) as number);
+
+    const rows = await strapi.db.query(RECENT_UID).findMany({
+      select: ['documentId'],
+      where: ownedBy(userId),
+      orderBy: [{ viewed_at: 'desc' }, { id: 'desc' }],
+    });
+    const stale = Array.from(new Set(rows.map((row) => row.documentId))).slice(maxEntries);
+
+    for (const documentId of stale) {
+      await strapi.documents(RECENT_UID).delete({ documentId });
+    }
+    return stale.length;
+  },
+
+  /**
+   * The user's history, most recent first.
+   */
+  async findHistory({ userId, start = 0, limit }: { userId: number; start?: number; limit: number }) {
+    const query = { status: 'published' as const, filters: ownedBy(userId) };
+
+    const [results, total] = await Promise.all([
+      strapi.documents(RECENT_UID).findMany({
+        ...query,
+        sort: [{ viewed_at: 'desc' }, { id: 'desc' }],
+        start,
+        limit,
+      }),
+      strapi.documents(RECENT_UID).count(query),
+    ]);
+
+    return { results, total };
+  },
+
+  /**
+   * One-off migration: entries saved before `viewed_at` was required take
+   * their creation time, so they sort by age instead of ahead of everything
+   * (PostgreSQL puts NULLs first in a descending sort).
+   */
+  async backfillViewedAt() {
+    const rows = await strapi.db.query(RECENT_UID).findMany({
+      select: ['id', 'createdAt'],
+      where: { viewed_at: { $null: true } },
+    });
+
+    for (const row of rows) {
+      await strapi.db.query(RECENT_UID).update({ where: { id: row.id }, data: { viewed_at: row.createdAt } });
+    }
+    strapi.log.info(`[recently-viewed] Set viewed_at on ${rows.length} entry(ies)`);
+    return rows.length;
+  },
+}));
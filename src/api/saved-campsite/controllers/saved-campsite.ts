@@ -3,5 +3,36 @@
  */
 
 import { factories } from '@strapi/strapi'
+import { ownerScopedActions } from '../../../utils/owner-scoped';
 
-export default factories.createCoreController('api::saved-campsite.saved-campsite');
+export default factories.createCoreController('api::saved-campsite.saved-campsite', ({ strapi }) => ({
+  ...ownerScopedActions('api::saved-campsite.saved-campsite'),
+
+  /**
+   * POST /saved-campsites/toggle
+   *
+   * Body: { place_slug, saved? }. Send `saved: true|false` to set the state
+   * idempotently, or leave it out to flip the current state.
+   */
+  async toggle(ctx) {
+    if (!ctx.state.user) return ctx.unauthorized();
+
+    const body = (ctx.request.body || {}) as Record<string, any>;
+    const input = body.data ?? body;
+
+    const slug = typeof input.place_slug === 'string' ? input.place_slug.trim() : '';
+    if (!slug) return ctx.badRequest('place_slug is required');
+    if (input.saved !== undefined && typeof input.saved !== 'boolean') {
+      return ctx.badRequest('saved must be a boolean');
+    }
+
+    const { saved, changed, entry } = await strapi
+      .service('api::saved-campsite.saved-campsite')
+      .toggle({ userId: ctx.state.user.id, slug, saved: input.saved });
+
+    return {
+      data: entry ? await this.sanitizeOutput(entry, ctx) : null,
+      meta: { place_slug: slug, saved, changed },
+    };
+  },
+}));
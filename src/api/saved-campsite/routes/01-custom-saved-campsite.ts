@@ -0,0 +1,13 @@
+/**
+ * saved-campsite custom routes
+ */
+
+export default {
+  routes: [
+    {
+      method: 'POST',
+      path: '/saved-campsites/toggle',
+      handler: 'api::saved-campsite.saved-campsite.toggle',
+    },
+  ],
+};
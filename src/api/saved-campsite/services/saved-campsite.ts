@@ -3,5 +3,109 @@
  */
 
 import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { withKeyLock } from '../../../utils/lock';
 
-export default factories.createCoreService('api::saved-campsite.saved-campsite');
+const SAVED_UID = 'api::saved-campsite.saved-campsite';
+
+// The owner id from relation input, when given as a plain id or `{ id }`.
+const ownerIdOf = (value) => {
+  if (typeof value === 'number' || typeof value === 'string') return value;
+  if (value && typeof value === 'object' && 'id' in value) return value.id;
+  return null;
+};
+
+const lockKey = (userId, slug: string) => `saved-campsite:${userId}:${slug}`;
+
+export default factories.createCoreService(SAVED_UID, ({ strapi }) => ({
+  /**
+   * Document ids of the user's saves of `slug`. There is at most one: the
+   * `owner_key` column is unique (see utils/owner-key).
+   */
+  async findSavedDocumentIds(userId, slug: string): Promise<string[]> {
+    const rows = await strapi.db.query(SAVED_UID).findMany({
+      select: ['documentId'],
+      where: { place_slug: slug, users_permissions_user: { id: userId } },
+    });
+    return Array.from(new Set(rows.map((row) => row.documentId)));
+  },
+
+  async assertNotSaved(data, documentId?: string) {
+    const userId = ownerIdOf(data?.users_permissions_user);
+    const slug = data?.place_slug;
+    if (!userId || typeof slug !== 'string') return;
+
+    const existing = await this.findSavedDocumentIds(userId, slug);
+    if (existing.some((id) => id !== documentId)) {
+      throw new errors.ValidationError(`"${slug}" is already saved`, { place_slug: slug });
+    }
+  },
+
+  // (user, place_slug) is unique. The database index settles it; the core
+  // create/update check first for a clear error, under the same
+  // per-(user, slug) lock as toggle() so requests to this instance queue.
+  async create(params) {
+    const userId = ownerIdOf(params?.data?.users_permissions_user);
+    const slug = params?.data?.place_slug;
+    if (!userId || typeof slug !== 'string') return super.create(params);
+
+    return withKeyLock(lockKey(userId, slug), async () => {
+      await this.assertNotSaved(params.data);
+      return super.create(params);
+    });
+  },
+
+  async update(documentId, params) {
+    if (params?.data?.place_slug === undefined) return super.update(documentId, params);
+
+    const [current] = await strapi.db.query(SAVED_UID).findMany({
+      select: ['id'],
+      where: { documentId },
+      populate: { users_permissions_user: { select: ['id'] } },
+    });
+    const data = { users_permissions_user: current?.users_permissions_user, ...params.data };
+    const userId = ownerIdOf(data.users_permissions_user);
+    if (!userId || typeof data.place_slug !== 'string') return super.update(documentId, params);
+
+    return withKeyLock(lockKey(userId, data.place_slug), async () => {
+      await this.assertNotSaved(data, documentId);
+      return super.update(documentId, params);
+    });
+  },
+
+  /**
+   * Saves or un-saves `slug` for the user. With `saved` given the call is
+   * idempotent and only moves towards that state; without it the current
+   * state is flipped. New saves take their snapshot from the published place.
+   */
+  async toggle({ userId, slug, saved }: { userId: number; slug: string; saved?: boolean }) {
+    return withKeyLock(lockKey(userId, slug), async () => {
+      const existing = await this.findSavedDocumentIds(userId, slug);
+      const isSaved = existing.length > 0;
+      const wantSaved = saved ?? !isSaved;
+
+      if (wantSaved === isSaved) {
+        const entry = isSaved
+          ? await strapi.documents(SAVED_UID).findOne({ documentId: existing[0] })
+          : null;
+        return { saved: isSaved, changed: false, entry };
+      }
+
+      if (!wantSaved) {
+        for (const documentId of existing) {
+          await strapi.documents(SAVED_UID).delete({ documentId });
+        }
+        return { saved: false, changed: true, entry: null };
+      }
+
+      const snapshot = await strapi.service('api::place.place').findSnapshot(slug);
+      if (!snapshot) throw new errors.NotFoundError(`Place "${slug}" not found`);
+
+      const entry = await strapi.documents(SAVED_UID).create({
+        data: { ...snapshot, saved_at: new Date().toISOString(), users_permissions_user: userId } as any,
+        status: 'published',
+      });
+      return { saved: true, changed: true, entry };
+    });
+  },
+}));
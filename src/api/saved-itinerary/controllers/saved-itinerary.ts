@@ -3,5 +3,67 @@
  */
 
 import { factories } from '@strapi/strapi'
+import { ownerScopedActions } from '../../../utils/owner-scoped';
+import { findSavedVibe, normalizeVibe } from '../../../utils/vibe';
 
-export default factories.createCoreController('api::saved-itinerary.saved-itinerary');
+const ITINERARY_UID = 'api::saved-itinerary.saved-itinerary';
+
+export default factories.createCoreController(ITINERARY_UID, ({ strapi }) => {
+  const ownerScoped = ownerScopedActions(ITINERARY_UID);
+
+  // `itinerary_data` is always stored in planned form, never as sent.
+  const planItineraryData = async (ctx) => {
+    const data = (ctx.request.body as Record<string, any>)?.data;
+    if (!data || data.itinerary_data === undefined || data.itinerary_data === null) return;
+
+    data.itinerary_data = await strapi.service(ITINERARY_UID).plan(data.itinerary_data);
+    data.updated_at_point = new Date().toISOString();
+  };
+
+  return {
+    ...ownerScoped,
+
+    /**
+     * POST /saved-itineraries/plan — previews a plan without saving it.
+     */
+    async plan(ctx) {
+      const body = (ctx.request.body || {}) as Record<string, any>;
+      const data = await strapi.service(ITINERARY_UID).plan(body.data ?? body);
+
+      return { data };
+    },
+
+    /**
+     * POST /saved-itineraries/suggest
+     *
+     * Body: { start, end, nights, max_daily_km, vibe?, amenities?, start_date?, travellers? }.
+     * Logged-in users without a `vibe` get their saved preference applied.
+     */
+    async suggest(ctx) {
+      const body = (ctx.request.body || {}) as Record<string, any>;
+      const input = body.data ?? body;
+
+      let vibe = input.vibe === undefined ? null : normalizeVibe(input.vibe);
+      if (input.vibe !== undefined && !vibe) {
+        return ctx.badRequest('vibe sliders must be numbers between 0 and 100');
+      }
+      if (!vibe && ctx.state.user) {
+        vibe = await findSavedVibe(ctx.state.user.id);
+      }
+
+      const data = await strapi.service(ITINERARY_UID).suggest(input, { vibe });
+
+      return { data };
+    },
+
+    async create(ctx) {
+      await planItineraryData(ctx);
+      return ownerScoped.create.call(this, ctx);
+    },
+
+    async update(ctx) {
+      await planItineraryData(ctx);
+      return ownerScoped.update.call(this, ctx);
+    },
+  };
+});
@@ -0,0 +1,18 @@
+/**
+ * saved-itinerary custom routes
+ */
+
+export default {
+  routes: [
+    {
+      method: 'POST',
+      path: '/saved-itineraries/plan',
+      handler: 'api::saved-itinerary.saved-itinerary.plan',
+    },
+    {
+      method: 'POST',
+      path: '/saved-itineraries/suggest',
+      handler: 'api::saved-itinerary.saved-itinerary.suggest',
+    },
+  ],
+};
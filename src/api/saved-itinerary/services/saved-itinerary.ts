@@ -3,5 +3,338 @@
  */
 
 import { factories } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+import { Coordinate, haversineKm, isValidCoordinate, roundKm } from '../../../utils/geo';
+import { parseIsoDate, seasonForDate } from '../../../utils/season';
+import { VibeProfile, vibeSimilarity } from '../../../utils/vibe';
 
-export default factories.createCoreService('api::saved-itinerary.saved-itinerary');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date: Date, days: number) => new Date(date.getTime() + days * DAY_MS);
+const isoDate = (date: Date | null) => (date ? date.toISOString().slice(0, 10) : null);
+
+const isPositiveInt = (v: unknown, max: number) =>
+  typeof v === 'number' && Number.isInteger(v) && v >= 1 && v <= max;
+
+/**
+ * Estimated cost of `nights` at a place. `price_pp` (per person per night)
+ * wins; otherwise the first nightly rate is used, per person when its unit
+ * says so and per site otherwise.
+ */
+function estimateStopCost(place, nights: number, travellers: number) {
+  if (typeof place.price_pp === 'number' && place.price_pp > 0) {
+    return { amount: place.price_pp * nights * travellers, basis: 'price_pp' };
+  }
+
+  const rate = (place.rates || []).find(
+    (r) => Number(r.amount) > 0 && /night/i.test(r.unit || '')
+  );
+  if (!rate) return { amount: null, basis: null };
+
+  const perPerson = /per person|pp\b|p\/p/i.test(rate.unit);
+  return {
+    amount: Number(rate.amount) * nights * (perPerson ? travellers : 1),
+    basis: `rate: ${rate.unit}`,
+  };
+}
+
+const coordOf = (place): Coordinate => ({ lat: place.latitude, lng: place.longitude });
+
+export default factories.createCoreService('api::saved-itinerary.saved-itinerary', ({ strapi }) => ({
+  /**
+   * Validates planner input `{ start_date?, travellers?, stops: [{ slug, nights }] }`
+   * (a previously planned document is valid input too) and returns the
+   * versioned `itinerary_data` document: per-stop dates, straight-line leg
+   * distances, estimated costs and avoid-season warnings. Throws a
+   * ValidationError listing every problem found.
+   */
+  async plan(input) {
+    const config = strapi.config.get('itineraries') as Record<string, any>;
+    const problems: string[] = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new errors.ValidationError('itinerary must be an object with a stops array');
+    }
+
+    if (input.version !== undefined && input.version !== config.schemaVersion) {
+      problems.push(`unsupported itinerary version ${input.version}`);
+    }
+
+    const stops = input.stops;
+    if (!Array.isArray(stops) || stops.length === 0) {
+      problems.push('stops must be a non-empty array');
+    } else if (stops.length > config.maxStops) {
+      problems.push(`an itinerary can have at most ${config.maxStops} stops`);
+    } else {
+      stops.forEach((stop, i) => {
+        if (typeof stop?.slug !== 'string' || stop.slug.trim() === '') {
+          problems.push(`stops[${i}].slug is required`);
+        }
+        if (!isPositiveInt(stop?.nights, config.maxNightsPerStop)) {
+          problems.push(`stops[${i}].nights must be an integer between 1 and ${config.maxNightsPerStop}`);
+        }
+      });
+    }
+
+    const travellers = input.travellers ?? config.defaultTravellers;
+    if (!isPositiveInt(travellers, config.maxTravellers)) {
+      problems.push(`travellers must be an integer between 1 and ${config.maxTravellers}`);
+    }
+
+    const startDate = input.start_date == null ? null : parseIsoDate(input.start_date);
+    if (input.start_date != null && !startDate) {
+      problems.push('start_date must be a valid YYYY-MM-DD date');
+    }
+
+    if (problems.length) {
+      throw new errors.ValidationError('Invalid itinerary', { errors: problems });
+    }
+
+    const slugs: string[] = Array.from(new Set(stops.map((stop) => stop.slug.trim())));
+    const places = (await strapi.documents('api::place.place').findMany({
+      status: 'published',
+      filters: { slug: { $in: slugs } },
+      fields: ['name', 'slug', 'latitude', 'longitude', 'price_pp', 'province', 'region'],
+      populate: { rates: true, seasonalguide: true },
+    })) as any[];
+
+    const bySlug = new Map(places.map((place) => [place.slug, place]));
+    const missing = slugs.filter((slug) => !bySlug.has(slug));
+    if (missing.length) {
+      throw new errors.ValidationError(`Unknown place slug(s): ${missing.join(', ')}`, { missing });
+    }
+
+    const seasons = strapi.config.get('places.seasons') as Record<string, number[]>;
+    const warnings: string[] = [];
+    let nightsSoFar = 0;
+    let previous = null;
+
+    const plannedStops = stops.map((stop) => {
+      const place = bySlug.get(stop.slug.trim());
+      const stopWarnings: string[] = [];
+
+      let legDistance = null;
+      if (previous) {
+        const hasCoords = [previous.latitude, previous.longitude, place.latitude, place.longitude].every(
+          (v) => typeof v === 'number'
+        );
+        if (hasCoords) {
+          legDistance = roundKm(
+            haversineKm(
+              { lat: previous.latitude, lng: previous.longitude },
+              { lat: place.latitude, lng: place.longitude }
+            )
+          );
+        } else {
+          stopWarnings.push('Distance unknown: missing coordinates');
+        }
+      }
+
+      const arrive = startDate ? addDays(startDate, nightsSoFar) : null;
+      const depart = arrive ? addDays(arrive, stop.nights) : null;
+
+      const avoid = place.seasonalguide?.avoid_season;
+      if (arrive && avoid && avoid !== 'None') {
+        for (let n = 0; n < stop.nights; n++) {
+          if (seasonForDate(addDays(arrive, n), seasons) === avoid) {
+            stopWarnings.push(`${place.name} is best avoided in ${avoid}`);
+            break;
+          }
+        }
+      }
+
+      const cost = estimateStopCost(place, stop.nights, travellers);
+      if (cost.amount === null) stopWarnings.push('Cost unknown: no price_pp or nightly rate');
+
+      nightsSoFar += stop.nights;
+      previous = place;
+      warnings.push(...stopWarnings.map((w) => `${place.slug}: ${w}`));
+
+      return {
+        slug: place.slug,
+        place_document_id: place.documentId,
+        name: place.name,
+        province: place.province ?? null,
+        region: place.region ?? null,
+        nights: stop.nights,
+        arrive: isoDate(arrive),
+        depart: isoDate(depart),
+        leg_distance_km: legDistance,
+        estimated_cost: cost.amount === null ? null : Math.round(cost.amount),
+        price_basis: cost.basis,
+        warnings: stopWarnings,
+      };
+    });
+
+    const legs = plannedStops.map((stop) => stop.leg_distance_km).filter((km) => km !== null);
+    const costs = plannedStops.map((stop) => stop.estimated_cost);
+
+    return {
+      version: config.schemaVersion,
+      start_date: isoDate(startDate),
+      end_date: startDate ? isoDate(addDays(startDate, nightsSoFar)) : null,
+      travellers,
+      stops: plannedStops,
+      totals: {
+        nights: nightsSoFar,
+        distance_km: roundKm(legs.reduce((sum, km) => sum + km, 0)),
+        estimated_cost: costs.reduce((sum, c) => sum + (c ?? 0), 0),
+        estimated_cost_complete: costs.every((c) => c !== null),
+        currency: config.currency,
+      },
+      warnings,
+      planned_at: new Date().toISOString(),
+    };
+  },
+
+  /**
+   * Proposes a chain of campsites from `start` to `end`, where each is a
+   * `{ slug }` of a published place or a `{ lat, lng }` coordinate. The
+   * start is the departure point and never a stop; the end place (or the
+   * campsite closest to an end coordinate) is always the last stop.
+   *
+   * Stops are picked greedily: every leg stays within `max_daily_km`, and
+   * among reachable places the one that best combines progress towards the
+   * end with the preferred `vibe` wins. Each stop gets one night; nights
+   * left over go to the best-matching stops. A chain never exceeds
+   * `maxStops`, however many nights are asked for. Returns a draft ready
+   * to be saved as a saved-itinerary.
+   */
+  async suggest(input, { vibe = null }: { vibe?: VibeProfile | null } = {}) {
+    const config = strapi.config.get('itineraries') as Record<string, any>;
+    const { weights, maxNights, maxDailyKm: maxDailyLimit } = config.suggest;
+    const problems: string[] = [];
+
+    const nights = input?.nights;
+    if (!isPositiveInt(nights, maxNights)) {
+      problems.push(`nights must be an integer between 1 and ${maxNights}`);
+    }
+
+    const maxDailyKm = Number(input?.max_daily_km);
+    if (!Number.isFinite(maxDailyKm) || maxDailyKm <= 0 || maxDailyKm > maxDailyLimit) {
+      problems.push(`max_daily_km must be a number between 1 and ${maxDailyLimit}`);
+    }
+
+    const amenities: string[] = Array.isArray(input?.amenities) ? input.amenities.map(String) : [];
+
+    const endpoint = (value, label: string) => {
+      if (typeof value?.slug === 'string' && value.slug.trim() !== '') return { slug: value.slug.trim() };
+      const coord = { lat: Number(value?.lat), lng: Number(value?.lng) };
+      if (isValidCoordinate(coord.lat, coord.lng)) return { coord };
+      problems.push(`${label} must be { slug } or { lat, lng }`);
+      return null;
+    };
+    const start = endpoint(input?.start, 'start');
+    const end = endpoint(input?.end, 'end');
+
+    if (problems.length) {
+      throw new errors.ValidationError('Invalid suggestion request', { errors: problems });
+    }
+
+    const places = (await strapi.documents('api::place.place').findMany({
+      status: 'published',
+      filters: { latitude: { $notNull: true }, longitude: { $notNull: true } },
+      fields: ['name', 'slug', 'latitude', 'longitude'],
+      populate: { vibeprofile: true, amenities: { fields: ['slug'] } },
+    })) as any[];
+
+    const bySlug = new Map(places.map((place) => [place.slug, place]));
+    const resolve = (point, label: string) => {
+      if (point.coord) return { coord: point.coord, place: null };
+      const place = bySlug.get(point.slug);
+      if (!place) {
+        throw new errors.ValidationError(`${label} place "${point.slug}" not found or has no coordinates`);
+      }
+      return { coord: coordOf(place), place };
+    };
+    const from = resolve(start, 'start');
+    const to = resolve(end, 'end');
+
+    const vibeScore = (place) => (vibe ? (vibeSimilarity(vibe, place.vibeprofile)?.score ?? 0) / 100 : 0.5);
+    const candidates = places.filter((place) => {
+      if (place === from.place || place === to.place) return false;
+      const slugs = new Set((place.amenities || []).map((a) => a.slug));
+      return amenities.every((slug) => slugs.has(slug));
+    });
+
+    const chain = [];
+    const used = new Set();
+    let current = from.coord;
+
+    while (true) {
+      const remaining = haversineKm(current, to.coord);
+
+      if (to.place && remaining <= maxDailyKm) {
+        chain.push({ place: to.place, score: vibeScore(to.place) });
+        break;
+      }
+
+      const reachable = candidates.filter(
+        (place) => !used.has(place) && haversineKm(current, coordOf(place)) <= maxDailyKm
+      );
+
+      if (!to.place && remaining <= maxDailyKm) {
+        // Finish at the campsite closest to the end coordinate.
+        const last = reachable.sort(
+          (a, b) => haversineKm(coordOf(a), to.coord) - haversineKm(coordOf(b), to.coord)
+        )[0];
+        if (last) {
+          chain.push({ place: last, score: vibeScore(last) });
+          break;
+        }
+      }
+
+      let best = null;
+      for (const place of reachable) {
+        const progress = (remaining - haversineKm(coordOf(place), to.coord)) / maxDailyKm;
+        if (progress <= 0) continue;
+
+        const score = progress * weights.progress + vibeScore(place) * weights.vibe;
+        if (!best || score > best.score) best = { place, score };
+      }
+
+      if (!best) {
+        throw new errors.ValidationError(
+          `No campsite found within ${maxDailyKm} km that gets closer to the end point`,
+          { stops_so_far: chain.map((stop) => stop.place.slug) }
+        );
+      }
+
+      chain.push(best);
+      used.add(best.place);
+      current = coordOf(best.place);
+
+      // Every stop takes a night, and plan() accepts at most maxStops stops
+      if (chain.length >= Math.min(nights, config.maxStops)) {
+        const message =
+          nights <= config.maxStops
+            ? `${nights} night(s) are not enough to reach the end point`
+            : `The end point is more than ${config.maxStops} stops away at ${maxDailyKm} km a day`;
+        throw new errors.ValidationError(message, { stops_so_far: chain.map((stop) => stop.place.slug) });
+      }
+    }
+
+    const stops = chain.map((stop) => ({ slug: stop.place.slug, nights: 1 }));
+    const byPreference = chain
+      .map((stop, i) => ({ i, score: stop.score }))
+      .sort((a, b) => b.score - a.score);
+    for (let extra = 0; extra < nights - chain.length; extra++) {
+      stops[byPreference[extra % byPreference.length].i].nights += 1;
+    }
+
+    const itinerary = await this.plan({
+      start_date: input.start_date,
+      travellers: input.travellers,
+      stops,
+    });
+
+    const startLabel = from.place?.name ?? `${from.coord.lat.toFixed(3)}, ${from.coord.lng.toFixed(3)}`;
+    const endLabel = to.place?.name ?? chain[chain.length - 1].place.name;
+
+    return {
+      name: `${startLabel} to ${endLabel}`,
+      description: `Suggested ${nights}-night road trip, up to ${maxDailyKm} km a day.`,
+      itinerary_data: itinerary,
+    };
+  },
+}));
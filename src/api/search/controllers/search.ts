@@ -0,0 +1,44 @@
+/**
+ * search controller
+ */
+
+import type { Core } from '@strapi/strapi';
+
+export default ({ strapi }: { strapi: Core.Strapi }) => ({
+  /**
+   * GET /search?q=&start=&limit=
+   */
+  async find(ctx) {
+    const { q, start, limit } = ctx.query as Record<string, string>;
+    const config = strapi.config.get('places.search') as Record<string, number>;
+
+    if (typeof q !== 'string' || q.trim() === '') {
+      return ctx.badRequest('q is required');
+    }
+
+    const offset = start === undefined ? 0 : parseInt(start, 10);
+    const maxResults = limit === undefined ? config.defaultLimit : parseInt(limit, 10);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return ctx.badRequest('start must be a non-negative integer');
+    }
+    if (!Number.isInteger(maxResults) || maxResults <= 0) {
+      return ctx.badRequest('limit must be a positive integer');
+    }
+
+    const { results, total, corrections } = await strapi.service('api::search.search').search(q, {
+      start: offset,
+      limit: Math.min(maxResults, config.maxLimit),
+    });
+
+    const data = await strapi.contentAPI.sanitize.output(
+      results,
+      strapi.getModel('api::place.place'),
+      { auth: ctx.state.auth }
+    );
+
+    return {
+      data,
+      meta: { q, start: offset, count: results.length, total, corrections },
+    };
+  },
+});
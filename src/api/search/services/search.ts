@@ -0,0 +1,301 @@
+/**
+ * search service
+ *
+ * Full-text index of published places kept in the `place_search` table,
+ * using the native engine of each supported client: FTS5 on SQLite,
+ * tsvector on Postgres and FULLTEXT indexes on MySQL. Typo tolerance is
+ * handled here by correcting query terms against the indexed vocabulary.
+ */
+
+import type { Core } from '@strapi/strapi';
+import { withKeyLock } from '../../../utils/lock';
+import { editDistance, highlight, stripMarkdown, tokenize } from '../../../utils/text';
+
+const TABLE = 'place_search';
+const PLACE_UID = 'api::place.place';
+const REBUILD_PAGE_SIZE = 100;
+
+type IndexRow = {
+  document_id: string;
+  name: string;
+  location: string;
+  body: string;
+  labels: string;
+};
+
+const joinText = (parts: unknown[]) =>
+  parts
+    .filter((part) => typeof part === 'string' && part.trim() !== '')
+    .join(' · ');
+
+function toIndexRow(place): IndexRow {
+  return {
+    document_id: place.documentId,
+    name: place.name || '',
+    location: joinText([place.town, place.region, place.province]),
+    body: joinText(
+      [place.description, place.the_vibe, place.need_to_know, place.facilities_summary].map(stripMarkdown)
+    ),
+    labels: joinText([
+      ...(place.highlight || []).map((h) => h.title),
+      ...(place.unexpected || []).map((u) => u.title),
+      ...(place.tag || []).map((t) => t.label),
+    ]),
+  };
+}
+
+// Terms shorter than this are neither typo-corrected nor prefix-matched.
+const MIN_FUZZY_LENGTH = 4;
+
+const maxEditsFor = (term: string) => (term.length <= 5 ? 1 : 2);
+
+export default ({ strapi }: { strapi: Core.Strapi }) => {
+  const vocabulary = new Set<string>();
+
+  const client = () => strapi.db.dialect.client;
+  const knex = () => strapi.db.connection;
+  const table = () => strapi.db.getConnection(TABLE);
+
+  const addToVocabulary = (row: IndexRow) => {
+    for (const field of [row.name, row.location, row.body, row.labels]) {
+      for (const token of tokenize(field)) vocabulary.add(token);
+    }
+  };
+
+  async function createTable() {
+    if (client() === 'sqlite') {
+      await knex().raw(
+        `CREATE VIRTUAL TABLE ${TABLE} USING fts5(` +
+          `document_id UNINDEXED, name, location, body, labels, ` +
+          `tokenize = 'porter unicode61 remove_diacritics 2')`
+      );
+      return;
+    }
+
+    await strapi.db.getSchemaConnection().createTable(TABLE, (t) => {
+      t.string('document_id').primary();
+      t.text('name');
+      t.text('location');
+      t.text('body');
+      t.text('labels');
+
+      if (client() === 'postgres') {
+        t.specificType('document', 'tsvector');
+        t.index(['document'], `${TABLE}_document_idx`, 'gin');
+      } else {
+        t.index(['name'], `${TABLE}_name_fts`, { indexType: 'FULLTEXT' });
+        t.index(['name', 'location', 'body', 'labels'], `${TABLE}_all_fts`, {
+          indexType: 'FULLTEXT',
+        });
+      }
+    });
+  }
+
+  async function insertRow(row: IndexRow) {
+    if (client() !== 'postgres') {
+      await table().insert(row);
+      return;
+    }
+
+    await table().insert({
+      ...row,
+      document: knex().raw(
+        `setweight(to_tsvector('english', ?), 'A') || setweight(to_tsvector('english', ?), 'B') || ` +
+          `setweight(to_tsvector('english', ?), 'C') || setweight(to_tsvector('english', ?), 'D')`,
+        [row.name, row.labels, row.location, row.body]
+      ),
+    });
+  }
+
+  /**
+   * Builds the client-specific query: terms are OR-ed so partial matches
+   * still rank, and the last term is prefix-matched for search-as-you-type.
+   */
+  function matchQuery(terms: string[]) {
+    const last = terms.length - 1;
+    const prefix = (i: number) => i === last && terms[i].length >= MIN_FUZZY_LENGTH;
+
+    const base = table().select('document_id', 'name', 'location', 'body', 'labels');
+
+    if (client() === 'sqlite') {
+      const expr = terms.map((t, i) => `"${t}"${prefix(i) ? '*' : ''}`).join(' OR ');
+      return base
+        .select(knex().raw(`-bm25(${TABLE}, 0, 10, 4, 1, 6) AS score`))
+        .whereRaw(`${TABLE} MATCH ?`, [expr]);
+    }
+
+    if (client() === 'postgres') {
+      const expr = terms.map((t, i) => `${t}${prefix(i) ? ':*' : ''}`).join(' | ');
+      return base
+        .select(knex().raw(`ts_rank_cd(document, to_tsquery('english', ?)) AS score`, [expr]))
+        .whereRaw(`document @@ to_tsquery('english', ?)`, [expr]);
+    }
+
+    const expr = terms.map((t, i) => `${t}${prefix(i) ? '*' : ''}`).join(' ');
+    return base
+      .select(
+        knex().raw(
+          `MATCH(name) AGAINST (? IN BOOLEAN MODE) * 2 + ` +
+            `MATCH(name, location, body, labels) AGAINST (? IN BOOLEAN MODE) AS score`,
+          [expr, expr]
+        )
+      )
+      .whereRaw(`MATCH(name, location, body, labels) AGAINST (? IN BOOLEAN MODE)`, [expr]);
+  }
+
+  /**
+   * Closest indexed word for each query term that is not itself indexed.
+   */
+  function correctTerms(terms: string[]) {
+    const corrections: Record<string, string> = {};
+    if (vocabulary.size === 0) return corrections;
+
+    for (const term of terms) {
+      if (term.length < MIN_FUZZY_LENGTH || vocabulary.has(term)) continue;
+
+      const maxEdits = maxEditsFor(term);
+      let best: string | null = null;
+      let bestCost = Infinity;
+      for (const word of vocabulary) {
+        const distance = editDistance(term, word, maxEdits);
+        if (distance > maxEdits) continue;
+
+        // Prefer words with the same first letter; typos rarely start there.
+        const cost = distance + (word[0] === term[0] ? 0 : 0.5);
+        if (cost < bestCost) {
+          best = word;
+          bestCost = cost;
+        }
+      }
+      if (best) corrections[term] = best;
+    }
+
+    return corrections;
+  }
+
+  async function loadPublished(filters = {}) {
+    const rows: IndexRow[] = [];
+    for (let start = 0; ; start += REBUILD_PAGE_SIZE) {
+      const page = await strapi.documents(PLACE_UID).findMany({
+        status: 'published',
+        filters,
+        fields: [
+          'name',
+          'province',
+          'region',
+          'town',
+          'description',
+          'the_vibe',
+          'need_to_know',
+          'facilities_summary',
+        ],
+        populate: { highlight: true, unexpected: true, tag: true },
+        start,
+        limit: REBUILD_PAGE_SIZE,
+      });
+      rows.push(...page.map(toIndexRow));
+      if (page.length < REBUILD_PAGE_SIZE) return rows;
+    }
+  }
+
+  // Vocabulary of an existing index, for boots that skip the rebuild.
+  async function loadVocabulary() {
+    vocabulary.clear();
+    const rows: IndexRow[] = await table().select('document_id', 'name', 'location', 'body', 'labels');
+    for (const row of rows) addToVocabulary(row);
+    return vocabulary.size;
+  }
+
+  async function reindexPlace(documentId: string) {
+    const [row] = await loadPublished({ documentId });
+
+    await table().where({ document_id: documentId }).delete();
+    if (!row) return;
+
+    await insertRow(row);
+    addToVocabulary(row);
+  }
+
+  return {
+    /**
+     * Creates the index table when missing. The index is (re)built when it
+     * was just created or `places.search.rebuildOnBootstrap` is set;
+     * otherwise the typo-correction vocabulary is read back from it.
+     */
+    async ensureIndex() {
+      const exists = await strapi.db.getSchemaConnection().hasTable(TABLE);
+      if (!exists) await createTable();
+
+      const config = strapi.config.get('places.search') as Record<string, any>;
+      if (!exists || config.rebuildOnBootstrap) {
+        const count = await this.rebuild();
+        strapi.log.info(`[search] Indexed ${count} published place(s)`);
+        return;
+      }
+
+      const words = await loadVocabulary();
+      strapi.log.info(`[search] Loaded ${words} indexed word(s) for typo correction`);
+    },
+
+    async rebuild() {
+      const rows = await loadPublished();
+
+      await table().delete();
+      vocabulary.clear();
+      for (const row of rows) {
+        await insertRow(row);
+        addToVocabulary(row);
+      }
+
+      return rows.length;
+    },
+
+    /**
+     * Re-indexes one place from its published version, or drops it from
+     * the index when it has no published version any more. A single publish
+     * fires several lifecycle events, so syncs of the same document are
+     * queued behind each other instead of racing.
+     */
+    syncPlace(documentId: string) {
+      return withKeyLock(`search:${documentId}`, () => reindexPlace(documentId));
+    },
+
+    async search(q: string, { start, limit }: { start: number; limit: number }) {
+      const config = strapi.config.get('places.search') as Record<string, any>;
+      const terms = Array.from(new Set(tokenize(q)));
+      if (terms.length === 0) return { results: [], total: 0, corrections: {} };
+
+      const corrections = correctTerms(terms);
+      const queryTerms = Array.from(new Set([...terms, ...Object.values(corrections)]));
+
+      const [hits, [{ total }]] = await Promise.all([
+        matchQuery(queryTerms).orderBy('score', 'desc').offset(start).limit(limit),
+        matchQuery(queryTerms).clearSelect().count({ total: '*' }),
+      ]);
+
+      const cards: any[] = await strapi
+        .service(PLACE_UID)
+        .findCards(hits.map((hit) => hit.document_id));
+      const cardsById = new Map(cards.map((card) => [card.documentId, card]));
+
+      const results = hits
+        .filter((hit) => cardsById.has(hit.document_id))
+        .map((hit) => {
+          const snippetSource = [hit.body, hit.labels, hit.location].find((text) =>
+            tokenize(text).some((token) => queryTerms.some((term) => token.startsWith(term)))
+          );
+
+          return {
+            ...cardsById.get(hit.document_id),
+            score: Math.round(Number(hit.score) * 1000) / 1000,
+            highlights: {
+              name: highlight(hit.name, queryTerms),
+              snippet: highlight(snippetSource || hit.body, queryTerms, config.snippetLength),
+            },
+          };
+        });
+
+      return { results, total: Number(total), corrections };
+    },
+  };
+};
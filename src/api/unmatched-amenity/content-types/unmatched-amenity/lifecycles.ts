@@ -0,0 +1,28 @@
+/**
+ * unmatched-amenity lifecycles
+ *
+ * Marking an entry "aliased" in the admin adds its slug to the linked
+ * amenity's aliases, so the next enrichment run resolves it.
+ */
+
+import { afterCommit } from '../../../../utils/db';
+
+const UNMATCHED_UID = 'api::unmatched-amenity.unmatched-amenity';
+
+export default {
+  afterUpdate(event) {
+    if (event.result.review_status !== 'aliased') return;
+
+    afterCommit('unmatched-amenity', async () => {
+      const entry = await strapi.db.query(UNMATCHED_UID).findOne({
+        where: { id: event.result.id },
+        populate: { amenity: { select: ['documentId'] } },
+      });
+      if (!entry?.amenity) {
+        strapi.log.warn(`[unmatched-amenity] "${entry?.requested}" is aliased but not linked to an amenity`);
+        return;
+      }
+      await strapi.service('api::amenity.amenity').addAlias(entry.amenity.documentId, entry.requested);
+    });
+  },
+};
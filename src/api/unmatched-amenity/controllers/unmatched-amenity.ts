@@ -0,0 +1,32 @@
+/**
+ * unmatched-amenity controller
+ */
+
+import { factories } from '@strapi/strapi'
+
+export default factories.createCoreController('api::unmatched-amenity.unmatched-amenity', ({ strapi }) => ({
+  /**
+   * POST /unmatched-amenities/report
+   *
+   * Body: { requested, place_slug?, suggestions? }. Queues an amenity slug
+   * enrichment could not resolve, or counts another sighting of it.
+   */
+  async report(ctx) {
+    const body = (ctx.request.body || {}) as Record<string, any>;
+    const input = body.data ?? body;
+
+    const requested = typeof input.requested === 'string' ? input.requested.trim() : '';
+    if (!requested) return ctx.badRequest('requested is required');
+    if (input.suggestions !== undefined && !Array.isArray(input.suggestions)) {
+      return ctx.badRequest('suggestions must be an array of amenity slugs');
+    }
+
+    const { entry, created } = await strapi.service('api::unmatched-amenity.unmatched-amenity').report({
+      requested,
+      placeSlug: typeof input.place_slug === 'string' ? input.place_slug.trim() : null,
+      suggestions: input.suggestions,
+    });
+
+    return { data: await this.sanitizeOutput(entry, ctx), meta: { created } };
+  },
+}));
@@ -0,0 +1,13 @@
+/**
+ * unmatched-amenity custom routes
+ */
+
+export default {
+  routes: [
+    {
+      method: 'POST',
+      path: '/unmatched-amenities/report',
+      handler: 'api::unmatched-amenity.unmatched-amenity.report',
+    },
+  ],
+};
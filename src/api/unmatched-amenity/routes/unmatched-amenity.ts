@@ -0,0 +1,7 @@
+/**
+ * unmatched-amenity router
+ */
+
+import { factories } from '@strapi/strapi';
+
+export default factories.createCoreRouter('api::unmatched-amenity.unmatched-amenity');
@@ -0,0 +1,45 @@
+/**
+ * unmatched-amenity service
+ */
+
+import path from 'path';
+import { factories } from '@strapi/strapi';
+import { withKeyLock } from '../../../utils/lock';
+
+const UNMATCHED_UID = 'api::unmatched-amenity.unmatched-amenity';
+
+const placeMerge = () => require(path.join(strapi.dirs.app.root, 'placeMerge.js'));
+
+export default factories.createCoreService(UNMATCHED_UID, ({ strapi }) => ({
+  /**
+   * Queues an unresolved amenity under its normalised key, or bumps the
+   * count and place list of the existing entry. Ignored entries stay
+   * ignored; anything else goes back to pending since it failed again.
+   */
+  async report({ requested, placeSlug, suggestions }: { requested: string; placeSlug?: string; suggestions?: string[] }) {
+    const key = placeMerge().amenityKey(requested) || requested;
+
+    return withKeyLock(`unmatched-amenity:${key}`, async () => {
+      const existing = await strapi.documents(UNMATCHED_UID).findFirst({ filters: { requested: key } });
+      const data: Record<string, any> = {
+        occurrences: (existing?.occurrences ?? 0) + 1,
+        last_seen_at: new Date().toISOString(),
+      };
+
+      const places = Array.isArray(existing?.place_slugs) ? (existing.place_slugs as string[]) : [];
+      data.place_slugs = placeSlug && !places.includes(placeSlug) ? [...places, placeSlug] : places;
+      if (suggestions) data.suggestions = suggestions.filter((slug) => typeof slug === 'string');
+
+      if (!existing) {
+        const entry = await strapi.documents(UNMATCHED_UID).create({
+          data: { ...data, requested: key, review_status: 'pending' } as any,
+        });
+        return { entry, created: true };
+      }
+
+      if (existing.review_status !== 'ignored') data.review_status = 'pending';
+      const entry = await strapi.documents(UNMATCHED_UID).update({ documentId: existing.documentId, data: data as any });
+      return { entry, created: false };
+    });
+  },
+}));
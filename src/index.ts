@@ -1,4 +1,8 @@
-// import type { Core } from '@strapi/strapi';
+import type { Core } from '@strapi/strapi';
+import issueReportAdminRoutes from './api/issue-report/admin/routes';
+import placeAdminRoutes from './api/place/admin/routes';
+import { runOnce } from './utils/db';
+import { backfillOwnerKeys, ensureOwnerKeyIndex, ownerKeyMiddleware } from './utils/owner-key';
 
 export default {
   /**
@@ -7,7 +11,25 @@ export default {
    *
    * This gives you an opportunity to extend code.
    */
-  register(/* { strapi }: { strapi: Core.Strapi } */) {},
+  register({ strapi }: { strapi: Core.Strapi }) {
+    strapi.documents.use((context, next) =>
+      context.uid === 'api::issue-report.issue-report'
+        ? strapi.service('api::issue-report.issue-report').triage(context, next)
+        : next()
+    );
+    strapi.documents.use((context, next) =>
+      context.uid === 'api::place.place'
+        ? strapi.service('api::place.place').guardPhotoAttribution(context, next)
+        : next()
+    );
+    strapi.documents.use(ownerKeyMiddleware('api::saved-campsite.saved-campsite', 'This place is already saved'));
+    strapi.documents.use(
+      ownerKeyMiddleware('api::community-review.community-review', 'You have already reviewed this place')
+    );
+
+    strapi.server.routes(issueReportAdminRoutes);
+    strapi.server.routes(placeAdminRoutes);
+  },
 
   /**
    * An asynchronous bootstrap function that runs before
@@ -16,5 +38,18 @@ export default {
    * This gives you an opportunity to set up your data model,
    * run jobs, or perform some special logic.
    */
-  bootstrap(/* { strapi }: { strapi: Core.Strapi } */) {},
+  async bootstrap({ strapi }: { strapi: Core.Strapi }) {
+    if (strapi.config.get('amenities.seed.onBootstrap')) {
+      await strapi.service('api::amenity.amenity').seedCatalogue();
+    }
+    await strapi.service('api::search.search').ensureIndex();
+    await runOnce('issue-report-places', () => strapi.service('api::issue-report.issue-report').linkPlaces());
+    await runOnce('saved-campsite-owner-keys', () => backfillOwnerKeys('api::saved-campsite.saved-campsite'));
+    await ensureOwnerKeyIndex('api::saved-campsite.saved-campsite');
+    await runOnce('community-review-owner-keys', () => backfillOwnerKeys('api::community-review.community-review'));
+    await ensureOwnerKeyIndex('api::community-review.community-review');
+    await runOnce('recently-viewed-dates', () =>
+      strapi.service('api::recently-viewed.recently-viewed').backfillViewedAt()
+    );
+  },
 };
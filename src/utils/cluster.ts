@@ -0,0 +1,40 @@
+/**
+ * grid clustering for map views
+ *
+ * Points are bucketed into square cells whose size follows the web-mercator
+ * tile scale for the requested zoom, so clusters stay roughly the same size
+ * on screen as the user zooms in and out.
+ */
+
+const TILE_SIZE_PX = 256;
+
+export type ClusterPoint = { latitude?: number; longitude?: number };
+
+export type Cluster<T extends ClusterPoint> = {
+  key: string;
+  count: number;
+  centroid: { lat: number; lng: number };
+  members: T[];
+};
+
+export function cellSizeForZoom(zoom: number, cellSizePx: number): number {
+  return (cellSizePx * 360) / (TILE_SIZE_PX * 2 ** zoom);
+}
+
+export function gridCluster<T extends ClusterPoint>(points: T[], cellDeg: number): Cluster<T>[] {
+  const cells = new Map<string, Cluster<T>>();
+
+  for (const point of points) {
+    const key = `${Math.floor(point.latitude / cellDeg)}:${Math.floor(point.longitude / cellDeg)}`;
+    const cell = cells.get(key) ?? { key, count: 0, centroid: { lat: 0, lng: 0 }, members: [] };
+    cell.members.push(point);
+    cell.count += 1;
+    cells.set(key, cell);
+  }
+
+  return Array.from(cells.values()).map((cell) => {
+    const lat = cell.members.reduce((sum, p) => sum + p.latitude, 0) / cell.count;
+    const lng = cell.members.reduce((sum, p) => sum + p.longitude, 0) / cell.count;
+    return { ...cell, centroid: { lat, lng } };
+  });
+}
@@ -0,0 +1,56 @@
+/**
+ * database helpers
+ */
+
+import type { UID } from '@strapi/strapi';
+
+/**
+ * Runs `task` once the surrounding transaction has committed, or straight
+ * away when there is none. Lifecycle hooks use this for follow-up queries
+ * so they never wait on the transaction that triggered them (the SQLite
+ * pool only has one connection). Errors are logged, not thrown.
+ */
+export function afterCommit(label: string, task: () => Promise<unknown>) {
+  const run = () => {
+    task().catch((err) => strapi.log.error(`[${label}] ${err.message}`));
+  };
+
+  if (!strapi.db.inTransaction()) {
+    run();
+    return;
+  }
+
+  strapi.db.transaction(async ({ onCommit }) => {
+    onCommit(run);
+  });
+}
+
+/**
+ * Runs a one-off data migration the first time the app boots with it and
+ * records it in the core store so it never runs again. Unlike the files in
+ * database/migrations, which Strapi runs before syncing the schema, these
+ * can rely on new columns and relations already existing.
+ */
+export async function runOnce(name: string, task: () => Promise<unknown>) {
+  const store = strapi.store({ type: 'app', name: 'data-migrations' });
+  if (await store.get({ key: name })) return;
+
+  const result = await task();
+  await store.set({ key: name, value: { ranAt: new Date().toISOString(), result: result ?? null } });
+}
+
+/**
+ * True when the document's draft holds edits that are not published yet,
+ * by the rule the admin panel uses: the draft was updated after the
+ * published version. False when nothing is published.
+ */
+export async function hasUnpublishedChanges(uid: UID.ContentType, documentId: string) {
+  const versions = await strapi.db.query(uid).findMany({
+    select: ['id', 'updatedAt', 'publishedAt'],
+    where: { documentId },
+  });
+  const draft = versions.find((version) => !version.publishedAt);
+  const published = versions.find((version) => version.publishedAt);
+  if (!draft || !published) return false;
+  return new Date(draft.updatedAt).getTime() > new Date(published.updatedAt).getTime();
+}
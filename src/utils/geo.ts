@@ -0,0 +1,64 @@
+/**
+ * geo helpers
+ *
+ * Distance maths is done in JS rather than SQL so the same queries work on
+ * SQLite, Postgres and MySQL (SQLite ships without trig functions).
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+export type Coordinate = { lat: number; lng: number };
+
+export type BoundingBox = {
+  minLat: number;
+  maxLat: number;
+  minLng: number;
+  maxLng: number;
+};
+
+const toRad = (deg: number) => (deg * Math.PI) / 180;
+
+export function isValidCoordinate(lat: unknown, lng: unknown): boolean {
+  return (
+    typeof lat === 'number' &&
+    typeof lng === 'number' &&
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    lat >= -90 &&
+    lat <= 90 &&
+    lng >= -180 &&
+    lng <= 180
+  );
+}
+
+/**
+ * Great-circle distance between two points in kilometres.
+ */
+export function haversineKm(a: Coordinate, b: Coordinate): number {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Box that fully contains the circle of `radiusKm` around `center`.
+ * Used as a cheap indexed pre-filter before the exact haversine check.
+ */
+export function boundingBoxAround(center: Coordinate, radiusKm: number): BoundingBox {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const cosLat = Math.cos(toRad(center.lat));
+  const dLng = cosLat > 1e-6 ? radiusKm / (KM_PER_DEGREE_LAT * cosLat) : 180;
+
+  return {
+    minLat: Math.max(-90, center.lat - dLat),
+    maxLat: Math.min(90, center.lat + dLat),
+    minLng: Math.max(-180, center.lng - dLng),
+    maxLng: Math.min(180, center.lng + dLng),
+  };
+}
+
+export const roundKm = (km: number) => Math.round(km * 10) / 10;
@@ -0,0 +1,24 @@
+/**
+ * in-process keyed lock
+ */
+
+const queues = new Map<string, Promise<unknown>>();
+
+/**
+ * Runs `task` after every earlier task queued under the same `key` has
+ * settled, so read-then-write sequences on one record never interleave.
+ * This only serialises work inside a single Strapi process.
+ */
+export function withKeyLock<T>(key: string, task: () => Promise<T>): Promise<T> {
+  const previous = queues.get(key) ?? Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+
+  queues.set(key, next);
+  next
+    .finally(() => {
+      if (queues.get(key) === next) queues.delete(key);
+    })
+    .catch(() => {});
+
+  return next;
+}
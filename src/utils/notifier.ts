@@ -0,0 +1,42 @@
+/**
+ * user notifications
+ *
+ * Messages go through the driver named in `notifications.driver`. Extra
+ * drivers (push, SMS, …) can be added with `registerNotifier`.
+ */
+
+export type Notification = {
+  to: string;
+  subject: string;
+  text: string;
+};
+
+export type Notifier = (notification: Notification) => Promise<void>;
+
+const notifiers = new Map<string, Notifier>([
+  [
+    'email',
+    async ({ to, subject, text }) => {
+      await strapi.plugin('email').service('email').send({ to, subject, text });
+    },
+  ],
+  [
+    // Stand-in for local development and tests; nothing leaves the machine.
+    'log',
+    async ({ to, subject, text }) => {
+      strapi.log.info(`[notify] to=${to} subject="${subject}"\n${text}`);
+    },
+  ],
+]);
+
+export function registerNotifier(name: string, notifier: Notifier) {
+  notifiers.set(name, notifier);
+}
+
+export async function notify(notification: Notification) {
+  const driver = strapi.config.get('notifications.driver', 'log') as string;
+  const notifier = notifiers.get(driver);
+  if (!notifier) throw new Error(`Unknown notifications driver "${driver}"`);
+
+  await notifier(notification);
+}
@@ -0,0 +1,130 @@
+/**
+ * one record per owner and place
+ *
+ * Collections where a users-permissions user may hold at most one record per
+ * place keep `<user id>:<place_slug>` in a private `owner_key` column with a
+ * unique index on it, so the database itself refuses duplicates, however
+ * they are written (REST, the admin panel, another app instance). With
+ * draft & publish the index also covers whether the row is the draft, since
+ * both versions of a document share the key.
+ */
+
+import type { UID } from '@strapi/strapi';
+import { contentTypes, errors } from '@strapi/utils';
+
+const OWNER_FIELD = 'users_permissions_user';
+const KEY_FIELD = 'owner_key';
+
+// Document Service actions after which a document's rows may hold new
+// owners or slugs, or new rows copied from the other version.
+const WRITE_ACTIONS = ['create', 'update', 'publish', 'discardDraft'];
+
+// Unique violation codes of better-sqlite3, PostgreSQL and MySQL.
+const UNIQUE_VIOLATIONS = ['SQLITE_CONSTRAINT_UNIQUE', '23505', 'ER_DUP_ENTRY'];
+
+type KeyRow = {
+  id: number;
+  documentId: string;
+  place_slug: string | null;
+  publishedAt: string | null;
+  users_permissions_user?: { id: number } | null;
+};
+
+const ownerKey = (row: KeyRow) => {
+  const userId = row[OWNER_FIELD]?.id;
+  return userId && row.place_slug ? `${userId}:${row.place_slug}` : null;
+};
+
+const indexName = (uid: UID.ContentType) => `${strapi.getModel(uid).collectionName}_owner_key_uq`;
+
+const findKeyRows = (uid: UID.ContentType, where: Record<string, unknown> = {}): Promise<KeyRow[]> =>
+  strapi.db.query(uid).findMany({
+    select: ['id', 'documentId', 'place_slug', 'publishedAt'],
+    where,
+    orderBy: { id: 'asc' },
+    populate: { [OWNER_FIELD]: { select: ['id'] } },
+  });
+
+/**
+ * Recomputes the key of every row of the document. A clash with another
+ * document becomes a ValidationError with `message`.
+ */
+async function syncOwnerKeys(uid: UID.ContentType, documentId: string, message: string) {
+  for (const row of await findKeyRows(uid, { documentId })) {
+    try {
+      await strapi.db.query(uid).updateMany({ where: { id: row.id }, data: { [KEY_FIELD]: ownerKey(row) } });
+    } catch (err) {
+      if (UNIQUE_VIOLATIONS.includes(err.code)) {
+        throw new errors.ValidationError(message, { place_slug: row.place_slug });
+      }
+      throw err;
+    }
+  }
+}
+
+/**
+ * Document Service middleware keeping `owner_key` in step. The write and
+ * the key update share one transaction, so a duplicate is rolled back.
+ */
+export function ownerKeyMiddleware(uid: UID.ContentType, message: string) {
+  return (context, next) => {
+    if (context.uid !== uid || !WRITE_ACTIONS.includes(context.action)) return next();
+
+    return strapi.db.transaction(async () => {
+      const result = await next();
+      const documentId = result?.documentId ?? context.params.documentId;
+      if (documentId) await syncOwnerKeys(uid, documentId, message);
+      return result;
+    });
+  };
+}
+
+/**
+ * One-off migration: keys every row and deletes the later documents of any
+ * owner and place held more than once, keeping the first one. Returns the
+ * removed document ids.
+ */
+export async function backfillOwnerKeys(uid: UID.ContentType) {
+  const seen = new Set<string>();
+  const duplicates = new Set<string>();
+  const rows = await findKeyRows(uid);
+
+  for (const row of rows) {
+    const key = ownerKey(row);
+    if (!key) continue;
+    const slot = `${key}:${row.publishedAt ? 'published' : 'draft'}`;
+    if (seen.has(slot)) duplicates.add(row.documentId);
+    else seen.add(slot);
+  }
+
+  for (const documentId of duplicates) {
+    await strapi.documents(uid).delete({ documentId });
+  }
+  for (const row of rows) {
+    if (duplicates.has(row.documentId)) continue;
+    await strapi.db.query(uid).updateMany({ where: { id: row.id }, data: { [KEY_FIELD]: ownerKey(row) } });
+  }
+  if (duplicates.size) {
+    strapi.log.warn(`[${uid}] Removed ${duplicates.size} duplicate record(s): ${[...duplicates].join(', ')}`);
+  }
+  return { removed: [...duplicates] };
+}
+
+/**
+ * Creates the unique index on `owner_key` unless it exists. Run on every
+ * boot: Strapi does not manage this index and may drop it when it rebuilds
+ * the table.
+ */
+export async function ensureOwnerKeyIndex(uid: UID.ContentType) {
+  const model = strapi.getModel(uid);
+  const name = indexName(uid);
+  const indexes = await strapi.db.dialect.schemaInspector.getIndexes(model.collectionName);
+  if (indexes.some((index) => index.name === name)) return;
+
+  const draftColumn = contentTypes.hasDraftAndPublish(model) ? ', ((published_at IS NULL))' : '';
+  await strapi.db.connection.raw(`CREATE UNIQUE INDEX ?? ON ?? (??${draftColumn})`, [
+    name,
+    model.collectionName,
+    KEY_FIELD,
+  ]);
+}
@@ -0,0 +1,136 @@
+/**
+ * owner-scoped core actions
+ *
+ * Drop-in replacements for the core find/findOne/create/update/delete
+ * actions of collections that belong to a users-permissions user through a
+ * `users_permissions_user` relation. Users only ever see and change their
+ * own records, and the owner is always taken from the JWT, never the body.
+ *
+ * Requests authenticated with an API token are trusted server-side tools
+ * and keep the unscoped core behaviour.
+ */
+
+import type { Core, UID } from '@strapi/strapi';
+import { errors } from '@strapi/utils';
+
+const OWNER_FIELD = 'users_permissions_user';
+
+type Options = {
+  // Extra fields derived from the owner on create, e.g. legacy `user_id` columns.
+  ownerFields?: Record<string, (user: { id: number }) => unknown>;
+  // Fields users may read but never write, e.g. ones managed by staff.
+  readOnlyFields?: string[];
+};
+
+type CoreController = Core.CoreAPI.Controller.CollectionType;
+
+const isApiToken = (ctx) => ctx.state.auth?.strategy?.name === 'api-token';
+
+const requireData = (ctx) => {
+  const { body = {} } = ctx.request;
+  if (!body.data || typeof body.data !== 'object') {
+    throw new errors.ValidationError('Missing "data" payload in the request body');
+  }
+  return body.data;
+};
+
+export function ownerScopedActions(uid: UID.ContentType, { ownerFields = {}, readOnlyFields = [] }: Options = {}) {
+  const ownerFilter = (ctx) => ({ [OWNER_FIELD]: { id: ctx.state.user.id } });
+
+  // Owner and read-only fields sent by users are ignored rather than
+  // rejected, so older clients that still send them keep working; owner
+  // fields are set from the JWT.
+  const stripOwnerFields = (ctx, body: Record<string, unknown>) => {
+    if (isApiToken(ctx)) return body;
+
+    const ignored = [OWNER_FIELD, ...Object.keys(ownerFields), ...readOnlyFields];
+    return Object.fromEntries(Object.entries(body).filter(([key]) => !ignored.includes(key)));
+  };
+
+  // True when the document exists in any status and belongs to the user.
+  const ownsDocument = async (ctx, documentId: string) => {
+    const owned = await strapi.db.query(uid).findOne({
+      select: ['id'],
+      where: { documentId, ...ownerFilter(ctx) },
+    });
+    return Boolean(owned);
+  };
+
+  return {
+    async find(this: CoreController, ctx) {
+      if (!isApiToken(ctx) && !ctx.state.user) return ctx.unauthorized();
+
+      await this.validateQuery(ctx);
+      const query = await this.sanitizeQuery(ctx);
+      const { results, pagination } = await strapi.service(uid).find(
+        isApiToken(ctx) ? query : { ...query, filters: { $and: [query.filters || {}, ownerFilter(ctx)] } }
+      );
+
+      return this.transformResponse(await this.sanitizeOutput(results, ctx), { pagination });
+    },
+
+    async findOne(this: CoreController, ctx) {
+      if (!isApiToken(ctx)) {
+        if (!ctx.state.user) return ctx.unauthorized();
+        if (!(await ownsDocument(ctx, ctx.params.id))) return ctx.notFound();
+      }
+
+      await this.validateQuery(ctx);
+      const query = await this.sanitizeQuery(ctx);
+      const entity = await strapi.service(uid).findOne(ctx.params.id, query);
+
+      return this.transformResponse(await this.sanitizeOutput(entity, ctx));
+    },
+
+    async create(this: CoreController, ctx) {
+      if (!isApiToken(ctx) && !ctx.state.user) return ctx.unauthorized();
+
+      await this.validateQuery(ctx);
+      const query = await this.sanitizeQuery(ctx);
+      const body = stripOwnerFields(ctx, requireData(ctx));
+
+      await this.validateInput(body, ctx);
+      const data = (await this.sanitizeInput(body, ctx)) as Record<string, unknown>;
+      if (ctx.state.user) {
+        for (const [field, derive] of Object.entries(ownerFields)) data[field] = derive(ctx.state.user);
+        data[OWNER_FIELD] = ctx.state.user.id;
+      }
+
+      const entity = await strapi.service(uid).create({ ...query, data });
+
+      ctx.status = 201;
+      return this.transformResponse(await this.sanitizeOutput(entity, ctx));
+    },
+
+    async update(this: CoreController, ctx) {
+      if (!isApiToken(ctx)) {
+        if (!ctx.state.user) return ctx.unauthorized();
+        if (!(await ownsDocument(ctx, ctx.params.id))) return ctx.notFound();
+      }
+
+      await this.validateQuery(ctx);
+      const query = await this.sanitizeQuery(ctx);
+      const body = stripOwnerFields(ctx, requireData(ctx));
+
+      await this.validateInput(body, ctx);
+      const data = await this.sanitizeInput(body, ctx);
+
+      const entity = await strapi.service(uid).update(ctx.params.id, { ...query, data });
+
+      return this.transformResponse(await this.sanitizeOutput(entity, ctx));
+    },
+
+    async delete(this: CoreController, ctx) {
+      if (!isApiToken(ctx)) {
+        if (!ctx.state.user) return ctx.unauthorized();
+        if (!(await ownsDocument(ctx, ctx.params.id))) return ctx.notFound();
+      }
+
+      await this.validateQuery(ctx);
+      const query = await this.sanitizeQuery(ctx);
+      await strapi.service(uid).delete(ctx.params.id, query);
+
+      ctx.status = 204;
+    },
+  };
+}
@@ -0,0 +1,18 @@
+/**
+ * price_pp banding
+ *
+ * `bands` are ascending upper bounds in rand per person; anything above the
+ * last bound falls into an open-ended top band.
+ */
+
+export function priceBandIndex(price: number | null | undefined, bands: number[]): number | null {
+  if (price === null || price === undefined || !Number.isFinite(price)) return null;
+  const index = bands.findIndex((upper) => price <= upper);
+  return index === -1 ? bands.length : index;
+}
+
+export function priceBandLabel(index: number, bands: number[]): string {
+  if (index === 0) return `0-${bands[0]}`;
+  if (index >= bands.length) return `${bands[bands.length - 1] + 1}+`;
+  return `${bands[index - 1] + 1}-${bands[index]}`;
+}
@@ -0,0 +1,29 @@
+/**
+ * season helpers
+ *
+ * Season names match the `general.seasonal-guide` enumerations.
+ */
+
+export type SeasonMap = Record<string, number[]>;
+
+export const YEAR_ROUND = 'Year-round';
+
+/**
+ * Parses `YYYY-MM-DD` into a UTC date, or null if it is not a real date.
+ */
+export function parseIsoDate(raw: unknown): Date | null {
+  if (typeof raw !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(raw)) return null;
+  const date = new Date(`${raw}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== raw ? null : date;
+}
+
+/**
+ * Season a calendar month (1–12) falls in, or null if `seasons` has a gap.
+ */
+export function seasonForMonth(month: number, seasons: SeasonMap): string | null {
+  return Object.keys(seasons).find((season) => seasons[season].includes(month)) ?? null;
+}
+
+export function seasonForDate(date: Date, seasons: SeasonMap): string | null {
+  return seasonForMonth(date.getUTCMonth() + 1, seasons);
+}
@@ -0,0 +1,18 @@
+/**
+ * set similarity helpers
+ */
+
+/**
+ * Jaccard index of two collections, 0–1. Two empty sets score 0 rather
+ * than 1 so places with no data do not look identical.
+ */
+export function jaccard<T>(a: Iterable<T>, b: Iterable<T>): number {
+  const left = new Set(a);
+  const right = new Set(b);
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  for (const item of left) if (right.has(item)) shared += 1;
+
+  return shared / (left.size + right.size - shared);
+}
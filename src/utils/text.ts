@@ -0,0 +1,98 @@
+/**
+ * text helpers for search indexing
+ */
+
+/**
+ * Plain text from the markdown stored in richtext fields.
+ */
+export function stripMarkdown(md: string | null | undefined): string {
+  if (!md) return '';
+  return md
+    .replace(/:contentReference\[[^\]]*\]\{[^}]*\}/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/[*_`~]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+export function foldDiacritics(text: string): string {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Lower-cased, accent-folded alphanumeric words.
+ */
+export function tokenize(text: string | null | undefined): string[] {
+  if (!text) return [];
+  return foldDiacritics(text.toLowerCase()).match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Levenshtein distance, giving up early once it exceeds `max`.
+ */
+export function editDistance(a: string, b: string, max = Infinity): number {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Accent folding that keeps string length, so match offsets map back onto
+// the original text.
+const foldInPlace = (text: string) =>
+  text.replace(/[^\u0000-\u007f]/g, (ch) => ch.normalize('NFD').charAt(0));
+
+const escapeHtml = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Highlights words starting with any of `terms` in `<mark>` tags. With
+ * `length` set, a window of roughly that many characters around the first
+ * match is returned instead of the whole text. Output is HTML-escaped.
+ */
+export function highlight(text: string, terms: string[], length?: number): string {
+  if (!text) return '';
+  const pattern = terms.length
+    ? new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})[a-z0-9]*`, 'gi')
+    : null;
+
+  let excerpt = text;
+  if (length && text.length > length) {
+    const folded = foldInPlace(text);
+    const first = pattern ? folded.search(pattern) : -1;
+    const from = Math.max(0, (first === -1 ? 0 : first) - Math.floor(length / 3));
+    const start = from === 0 ? 0 : text.indexOf(' ', from) + 1 || from;
+    const end = Math.min(text.length, start + length);
+    // Cut at the last space inside the window, or mid-word when there is none
+    const space = text.lastIndexOf(' ', end);
+    const stop = end === text.length || space <= start ? end : space;
+    excerpt = `${start > 0 ? '…' : ''}${text.slice(start, stop)}${stop < text.length ? '…' : ''}`;
+  }
+
+  if (!pattern) return escapeHtml(excerpt);
+
+  const folded = foldInPlace(excerpt);
+  let out = '';
+  let last = 0;
+  for (const match of folded.matchAll(pattern)) {
+    out += escapeHtml(excerpt.slice(last, match.index));
+    out += `<mark>${escapeHtml(excerpt.slice(match.index, match.index + match[0].length))}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return out + escapeHtml(excerpt.slice(last));
+}
@@ -0,0 +1,79 @@
+/**
+ * vibe-profile helpers
+ *
+ * Mirrors the six sliders on the `general.vibe-profile` component.
+ */
+
+export const VIBE_SLIDERS = [
+  'comfort_rustic',
+  'peaceful_social',
+  'accessible_remote',
+  'active_relaxed',
+  'family_couple',
+  'wild_managed',
+] as const;
+
+export type VibeSlider = (typeof VIBE_SLIDERS)[number];
+export type VibeProfile = Partial<Record<VibeSlider, number>>;
+
+export type VibeMatch = {
+  score: number;
+  sliders: { slider: VibeSlider; similarity: number }[];
+};
+
+const isSliderValue = (v: unknown): v is number =>
+  typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 100;
+
+/**
+ * Keeps the known sliders from user input. Returns null when the input is
+ * not an object, a slider is out of range, or no slider is given at all.
+ */
+export function normalizeVibe(input: unknown): VibeProfile | null {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+
+  const vibe: VibeProfile = {};
+  for (const slider of VIBE_SLIDERS) {
+    const raw = input[slider];
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const value = Number(raw);
+    if (!isSliderValue(value)) return null;
+    vibe[slider] = Math.round(value);
+  }
+
+  return Object.keys(vibe).length > 0 ? vibe : null;
+}
+
+/**
+ * The preferred vibe saved under `profile.vibe` on a users-permissions user.
+ */
+export async function findSavedVibe(userId: number | string): Promise<VibeProfile | null> {
+  const user = await strapi
+    .query('plugin::users-permissions.user')
+    .findOne({ where: { id: userId }, select: ['profile'] });
+
+  return normalizeVibe(user?.profile?.vibe);
+}
+
+/**
+ * Similarity between a preferred vibe and a place's profile, 0–100.
+ * Only the sliders present on both sides are compared; sliders come back
+ * ordered from best to worst match. Returns null when nothing overlaps.
+ */
+export function vibeSimilarity(preferred: VibeProfile, profile: VibeProfile | null | undefined): VibeMatch | null {
+  if (!profile) return null;
+
+  const sliders = VIBE_SLIDERS.filter(
+    (slider) => isSliderValue(preferred[slider]) && isSliderValue(profile[slider])
+  ).map((slider) => ({
+    slider,
+    similarity: 100 - Math.abs(preferred[slider] - profile[slider]),
+  }));
+
+  if (sliders.length === 0) return null;
+
+  const score = sliders.reduce((sum, s) => sum + s.similarity, 0) / sliders.length;
+  sliders.sort((a, b) => b.similarity - a.similarity);
+
+  return { score: Math.round(score * 10) / 10, sliders };
+}
@@ -3,6 +3,8 @@ const fs = require("fs");
 const path = require("path");
 const fetch = require("node-fetch");
 const FormData = require("form-data");
+const { analysePhoto } = require("./photoQuality");
+const { photoAttribution, missingAttribution } = require("./photoCredits");
 require("dotenv").config();
 
 // ==========================
@@ -44,11 +46,29 @@ async function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
   }
 }
 
+// Uploads are named "<slug>-<first 16 hex of sha256><ext>" so a file with the
+// same content can be found again instead of uploaded twice
+const uploadName = (slug, sha256, filePath) =>
+  `${slug}-${sha256.slice(0, 16)}${path.extname(filePath).toLowerCase() || ".jpg"}`;
+
+// --- Existing upload with the same content, if any ---
+async function findUploadByHash(sha256) {
+  const res = await fetchWithTimeout(
+    `${UPLOAD_URL}/files?filters[name][$contains]=${sha256.slice(0, 16)}&limit=1`,
+    { headers: { Authorization: `Bearer ${STRAPI_API_TOKEN}` } }
+  );
+  if (!res.ok) return null;
+  const json = await res.json();
+  const files = Array.isArray(json) ? json : json.results || json.data || [];
+  return files[0] || null;
+}
+
 // --- Upload file helper ---
-async function uploadToStrapi(filePath) {
+async function uploadToStrapi(filePath, name) {
   console.log(`➡️ Preparing upload: ${filePath}`);
   const formData = new FormData();
   formData.append("files", fs.createReadStream(filePath));
+  if (name) formData.append("fileInfo", JSON.stringify({ name }));
 
   const res = await fetchWithTimeout(UPLOAD_URL, {
     method: "POST",
@@ -82,26 +102,48 @@ async function syncPlace(folderPath) {
     const harvested = JSON.parse(raw);
 
     // ------------------------
-    // 1) Upload photos
+    // 1) Score photos, best first
     // ------------------------
-    const photos = [];
-    let coverPhotoId = null;
-
-    for (const [index, p] of (harvested.photos || []).entries()) {
+    const scored = [];
+    for (const p of harvested.photos || []) {
       const filePath = path.join(folderPath, p.file);
       if (!fs.existsSync(filePath)) {
         console.warn(`⚠️ Missing photo file: ${filePath}`);
         continue;
       }
+      const quality = await analysePhoto(filePath);
+      if (scored.some((s) => s.quality.sha256 === quality.sha256)) {
+        console.log(`♻️ Skipping ${p.file}: same image as an earlier photo`);
+        continue;
+      }
+      scored.push({ p, filePath, quality });
+    }
+    scored.sort((a, b) => b.quality.score - a.quality.score);
+    if (scored.length) {
+      console.log("📊 Photo scores:", scored.map((s) => `${s.p.file}=${s.quality.score}`).join(", "));
+    }
+
+    // ------------------------
+    // 2) Upload photos (reusing uploads with the same content)
+    // ------------------------
+    const photos = [];
+    let coverPhotoId = null;
 
-      console.log(`➡️ Uploading photo ${index + 1}/${harvested.photos.length}: ${p.file}`);
+    for (const [index, { p, filePath, quality }] of scored.entries()) {
       try {
-        const id = await uploadToStrapi(filePath);
-        const photoObj = {
-          image: id,
-          attribution: p.attribution_text || null,
-        };
-        if (index === 0) coverPhotoId = id;
+        const existingUpload = await findUploadByHash(quality.sha256);
+        let id;
+        if (existingUpload) {
+          id = existingUpload.id;
+          console.log(`♻️ Reusing upload ${existingUpload.name} → ID ${id}`);
+        } else {
+          console.log(`➡️ Uploading photo ${index + 1}/${scored.length}: ${p.file}`);
+          id = await uploadToStrapi(filePath, uploadName(harvested.slug, quality.sha256, filePath));
+        }
+        const photoObj = { image: id, ...photoAttribution(p, harvested.source) };
+        const missing = missingAttribution(photoObj);
+        if (missing.length) console.warn(`⚠️ ${p.file} has no ${missing.join(", ")} in its attribution`);
+        if (!coverPhotoId) coverPhotoId = id;
         photos.push(photoObj);
       } catch (err) {
         console.error(`❌ Failed to upload ${p.file}:`, err.message);
@@ -109,7 +151,7 @@ async function syncPlace(folderPath) {
     }
 
     // ------------------------
-    // 2) Reviews + contact
+    // 3) Reviews + contact
     // ------------------------
     const reviews = (harvested.reviews || []).map((r) => ({
       author_name: r.author_name || null,
@@ -126,7 +168,7 @@ async function syncPlace(folderPath) {
       : [];
 
     // ------------------------
-    // 3) Default VibeProfile + SeasonalGuide
+    // 4) Default VibeProfile + SeasonalGuide
     // ------------------------
     const vibeprofile = {
       comfort_rustic: null,
@@ -145,7 +187,7 @@ async function syncPlace(folderPath) {
     };
 
     // ------------------------
-    // 4) Payload
+    // 5) Payload
     // ------------------------
     const payload = {
       data: {
@@ -171,12 +213,20 @@ async function syncPlace(folderPath) {
 
     if (coverPhotoId) payload.data.cover_photo = coverPhotoId;
 
+    // Strapi refuses to publish photos without full attribution; keep those as drafts
+    const publish = photos.every((photo) => missingAttribution(photo).length === 0);
+    const statusQuery = publish ? "" : "?status=draft";
+    if (!publish) {
+      delete payload.data.publishedAt;
+      console.warn("⚠️ Saving as a draft until every photo has a source, license and (where needed) author");
+    }
+
     // ------------------------
-    // 5) Upsert by slug
+    // 6) Upsert by slug
     // ------------------------
     console.log("➡️ Checking for existing place in Strapi...");
     const checkRes = await fetchWithTimeout(
-      `${STRAPI_API_URL}?filters[slug][$eq]=${harvested.slug}`,
+      `${STRAPI_API_URL}?filters[slug][$eq]=${harvested.slug}&status=draft`,
       { headers: { Authorization: `Bearer ${STRAPI_API_TOKEN}` } }
     );
 
@@ -189,7 +239,7 @@ async function syncPlace(folderPath) {
     if (existing) {
       const docId = existing.documentId || existing.id;
       console.log(`🔄 Place exists (documentId=${docId}), updating...`);
-      strapiRes = await fetchWithTimeout(`${STRAPI_API_URL}/${docId}`, {
+      strapiRes = await fetchWithTimeout(`${STRAPI_API_URL}/${docId}${statusQuery}`, {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
@@ -199,7 +249,7 @@ async function syncPlace(folderPath) {
       });
     } else {
       console.log("➕ Creating new place...");
-      strapiRes = await fetchWithTimeout(STRAPI_API_URL, {
+      strapiRes = await fetchWithTimeout(`${STRAPI_API_URL}${statusQuery}`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
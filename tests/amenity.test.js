@@ -0,0 +1,70 @@
+// Amenity catalogue upkeep never publishes an editor's pending draft edits.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi } = require("./helpers/strapi");
+
+const AMENITY_UID = "api::amenity.amenity";
+
+let app;
+
+before(async () => {
+  app = await startStrapi();
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+const versions = async (slug) => {
+  const { strapi } = app;
+  const draft = await strapi.documents(AMENITY_UID).findFirst({ filters: { slug } });
+  const published = await strapi.documents(AMENITY_UID).findFirst({ filters: { slug }, status: "published" });
+  return { draft, published };
+};
+
+test("seedCatalogue updates amenities with pending edits as drafts only", async () => {
+  const { strapi } = app;
+  const service = strapi.service(AMENITY_UID);
+  const first = await service.seedCatalogue();
+  assert.ok(first.created.includes("braai-facilities"));
+
+  // The catalogue text changed since, for two amenities; an editor is
+  // midway through changing one of them
+  for (const slug of ["braai-facilities", "campfires-allowed"]) {
+    await strapi.db.query(AMENITY_UID).updateMany({ where: { slug }, data: { description: "Old text" } });
+  }
+  const { draft } = await versions("braai-facilities");
+  await new Promise((resolve) => setTimeout(resolve, 10)); // a later updatedAt than the published row
+  await strapi.documents(AMENITY_UID).update({ documentId: draft.documentId, data: { name: "Braai areas" } });
+
+  const second = await service.seedCatalogue();
+  assert.deepEqual(second.updated_drafts, ["braai-facilities"]);
+  assert.ok(second.updated.includes("campfires-allowed"));
+
+  const braai = await versions("braai-facilities");
+  assert.equal(braai.published.name, "Braai facilities");
+  assert.equal(braai.published.description, "Old text");
+  assert.equal(braai.draft.description, "Outdoor braai areas with grills for cooking.");
+
+  const campfires = await versions("campfires-allowed");
+  assert.equal(campfires.published.description, "Designated areas where campfires are permitted.");
+});
+
+test("addAlias adds the alias to both versions and publishes nothing else", async () => {
+  const { strapi } = app;
+  const amenity = await strapi.documents(AMENITY_UID).create({
+    data: { name: "Alias showers", slug: "alias-showers", description: "Live text" },
+    status: "published",
+  });
+  await strapi.documents(AMENITY_UID).update({ documentId: amenity.documentId, data: { description: "Work in progress" } });
+
+  const service = strapi.service(AMENITY_UID);
+  assert.equal(await service.addAlias(amenity.documentId, "Warm showers"), true);
+  assert.equal(await service.addAlias(amenity.documentId, "warm-showers"), false);
+
+  const { draft, published } = await versions("alias-showers");
+  assert.deepEqual(draft.aliases, ["Warm showers"]);
+  assert.deepEqual(published.aliases, ["Warm showers"]);
+  assert.equal(draft.description, "Work in progress");
+  assert.equal(published.description, "Live text");
+});
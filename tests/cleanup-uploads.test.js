@@ -0,0 +1,72 @@
+// cleanupUploads.js: every media library file is listed, past the first
+// page, and only files nothing points at are treated as orphans.
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi, createUser } = require("./helpers/strapi");
+
+const FILE_UID = "plugin::upload.file";
+const PLACE_UID = "api::place.place";
+const FILE_COUNT = 105; // more than one page of 100
+
+let app;
+let cleanupUploads;
+let cover;
+
+before(async () => {
+  app = await startStrapi();
+  const { jwt } = await createUser(app.strapi, "cleaner", [
+    "plugin::upload.content-api.find",
+    "plugin::upload.content-api.destroy",
+  ]);
+  process.env.LOCAL_STRAPI_URL = app.baseUrl.replace(/\/api$/, "");
+  process.env.LOCAL_STRAPI_TOKEN = jwt;
+  ({ cleanupUploads } = require("../cleanupUploads"));
+
+  const files = [];
+  for (let i = 1; i <= FILE_COUNT; i++) {
+    files.push(
+      await app.strapi.db.query(FILE_UID).create({
+        data: {
+          name: `photo-${i}.jpg`,
+          hash: `photo_${i}`,
+          ext: ".jpg",
+          mime: "image/jpeg",
+          size: 10,
+          url: `/uploads/photo_${i}.jpg`,
+          provider: "local",
+        },
+      })
+    );
+  }
+  cover = files[FILE_COUNT - 1];
+  await app.strapi.documents(PLACE_UID).create({
+    data: { name: "Cover Camp", slug: "cover-camp", cover_photo: cover.id },
+    status: "published",
+  });
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+test("a dry run lists every file and keeps them", async () => {
+  mock.method(console, "log", () => {});
+  const result = await cleanupUploads();
+  mock.restoreAll();
+
+  assert.deepEqual(result, { total: FILE_COUNT, orphans: FILE_COUNT - 1, deleted: 0, failed: 0 });
+  assert.equal(await app.strapi.db.query(FILE_UID).count(), FILE_COUNT);
+});
+
+test("--delete removes the orphans only", async () => {
+  mock.method(console, "log", () => {});
+  const result = await cleanupUploads({ remove: true });
+  mock.restoreAll();
+
+  assert.deepEqual(result, { total: FILE_COUNT, orphans: FILE_COUNT - 1, deleted: FILE_COUNT - 1, failed: 0 });
+  const left = await app.strapi.db.query(FILE_UID).findMany({ select: ["id"] });
+  assert.deepEqual(
+    left.map((f) => f.id),
+    [cover.id]
+  );
+});
@@ -0,0 +1,38 @@
+// place refreshCommunityRating(): count and mean of approved reviews.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi } = require("./helpers/strapi");
+
+const PLACE_UID = "api::place.place";
+const REVIEW_UID = "api::community-review.community-review";
+
+let app;
+
+before(async () => {
+  app = await startStrapi();
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+test("only approved reviews count, each once", async () => {
+  const { strapi } = app;
+  const place = await strapi.documents(PLACE_UID).create({
+    data: { name: "Rated Camp", slug: "rated-camp" },
+    status: "published",
+  });
+
+  for (const [rating, moderation_status] of [[5, "approved"], [4, "approved"], [4, "approved"], [1, "rejected"], [2, "pending"]]) {
+    await strapi.documents(REVIEW_UID).create({
+      data: { place_slug: "rated-camp", place: place.documentId, rating, moderation_status },
+    });
+  }
+
+  const result = await strapi.service(PLACE_UID).refreshCommunityRating(place.documentId);
+  assert.deepEqual(result, { rating: 4.3, count: 3 });
+
+  const published = await strapi.documents(PLACE_UID).findOne({ documentId: place.documentId, status: "published" });
+  assert.equal(published.community_rating, 4.3);
+  assert.equal(published.community_review_count, 3);
+});
@@ -0,0 +1,65 @@
+// One community review per user and place, and a community rating only the
+// reviews can change.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi, createUser, apiClient } = require("./helpers/strapi");
+
+const PLACE_UID = "api::place.place";
+const REVIEW_UID = "api::community-review.community-review";
+
+let app;
+let place;
+
+before(async () => {
+  app = await startStrapi();
+  place = await app.strapi.documents(PLACE_UID).create({
+    data: { name: "Review Camp", slug: "review-camp" },
+    status: "published",
+  });
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+test("the database refuses a second review written around the service", async () => {
+  const { strapi } = app;
+  const { user } = await createUser(strapi, "reviewer");
+  const review = { place_slug: "review-camp", place: place.documentId, users_permissions_user: user.id, rating: 4 };
+
+  await strapi.service(REVIEW_UID).create({ data: review });
+  // As the admin panel or another app instance would
+  await assert.rejects(strapi.documents(REVIEW_UID).create({ data: { ...review, rating: 1 } }), {
+    name: "ValidationError",
+    message: "You have already reviewed this place",
+  });
+
+  const rows = await strapi.db.query(REVIEW_UID).findMany({ where: { users_permissions_user: { id: user.id } } });
+  assert.deepEqual(
+    rows.map((row) => row.rating),
+    [4]
+  );
+});
+
+test("the community rating cannot be written through the API", async () => {
+  const { strapi } = app;
+  const editor = await createUser(strapi, "place-editor", ["api::place.place.update", "api::place.place.create"]);
+  const request = apiClient(app.baseUrl);
+
+  const update = await request("PUT", `/places/${place.documentId}`, {
+    jwt: editor.jwt,
+    body: { data: { community_rating: 1, community_review_count: 99 } },
+  });
+  assert.equal(update.status, 400);
+  assert.equal(update.body.error.message, "Invalid key community_rating");
+
+  const create = await request("POST", "/places", {
+    jwt: editor.jwt,
+    body: { data: { name: "Fake Camp", slug: "fake-camp", community_rating: 5 } },
+  });
+  assert.equal(create.status, 400);
+
+  const published = await strapi.documents(PLACE_UID).findOne({ documentId: place.documentId, status: "published" });
+  assert.equal(published.community_rating, null);
+  assert.equal(published.community_review_count, 0);
+});
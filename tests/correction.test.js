@@ -0,0 +1,67 @@
+// Approving a suggested correction edits the place draft only.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi } = require("./helpers/strapi");
+
+const ISSUE_UID = "api::issue-report.issue-report";
+const PLACE_UID = "api::place.place";
+
+let app;
+
+before(async () => {
+  app = await startStrapi();
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+test("approve patches the place draft, closes the report and publishes no pending edits", async () => {
+  const { strapi } = app;
+  const place = await strapi.documents(PLACE_UID).create({
+    data: { name: "Fix Camp", slug: "fix-camp", description: "Live text", contact: [{ phone: "021 000 0000" }] },
+    status: "published",
+  });
+  // An editor's change that is not ready to go live
+  await strapi.documents(PLACE_UID).update({ documentId: place.documentId, data: { description: "Work in progress" } });
+
+  const report = await strapi.documents(ISSUE_UID).create({
+    data: {
+      place_slug: "fix-camp",
+      issue_type: "suggested_correction",
+      description: "Phone number is wrong",
+      proposed_changes: { contact: { phone: "021 111 1111" } },
+    },
+    status: "published",
+  });
+  // A moderator's unpublished edit to the report itself
+  await strapi.documents(ISSUE_UID).update({ documentId: report.documentId, data: { description: "Draft note" } });
+
+  const preview = await strapi.service("api::issue-report.correction").preview(
+    await strapi.documents(ISSUE_UID).findOne({ documentId: report.documentId })
+  );
+  assert.deepEqual(preview.changes[0].current.phone, "021 000 0000");
+
+  const result = await strapi.service("api::issue-report.correction").approve(report.documentId);
+  assert.deepEqual(result.applied, ["contact"]);
+
+  const draft = await strapi.documents(PLACE_UID).findOne({ documentId: place.documentId, populate: ["contact"] });
+  const published = await strapi.documents(PLACE_UID).findOne({
+    documentId: place.documentId,
+    status: "published",
+    populate: ["contact"],
+  });
+  assert.equal(draft.contact[0].phone, "021 111 1111");
+  assert.equal(draft.description, "Work in progress");
+  assert.equal(published.contact[0].phone, "021 000 0000");
+  assert.equal(published.description, "Live text");
+
+  const closed = await strapi.documents(ISSUE_UID).findOne({ documentId: report.documentId, populate: ["history"] });
+  const closedPublished = await strapi.documents(ISSUE_UID).findOne({ documentId: report.documentId, status: "published" });
+  assert.equal(closed.statusReport, "closed");
+  assert.equal(closed.history.at(-1).to_status, "closed");
+  assert.equal(closed.description, "Draft note");
+  assert.equal(closedPublished.statusReport, "closed");
+  assert.equal(closedPublished.admin_notes, "Applied suggested correction to the place draft: contact");
+  assert.equal(closedPublished.description, "Phone number is wrong");
+});
@@ -0,0 +1,153 @@
+// Harvest adapters (harvestAdapters/): every source maps its fixture to the
+// common place.json shape built by buildPlace().
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { adapters, getAdapter } = require("../harvestAdapters");
+
+const FIXTURES = path.join(__dirname, "fixtures", "harvest");
+const HARVESTED_AT = "2025-03-01T08:00:00.000Z";
+
+const PLACE_KEYS = [
+  "place_id",
+  "name",
+  "slug",
+  "province",
+  "region",
+  "town",
+  "address",
+  "opening_hours",
+  "rating",
+  "total_reviews",
+  "business_status",
+  "description",
+  "latitude",
+  "longitude",
+  "contact",
+  "photos",
+  "reviews",
+  "source",
+];
+const CONTACT_KEYS = ["phone", "email", "website", "booking_url", "google_info", "whatsapp"];
+const PHOTO_META_KEYS = ["width", "height", "attribution_html", "attribution_text", "author_name", "author_url", "license"];
+
+// The shape shared by all adapters, whatever the source knows
+function assertPlaceShape(record, adapterName) {
+  const { place, raw, photos } = record;
+  assert.deepEqual(Object.keys(place), PLACE_KEYS);
+  assert.deepEqual(Object.keys(place.contact), CONTACT_KEYS);
+  assert.match(place.slug, /^[a-z0-9]+(-[a-z0-9]+)*$/);
+  assert.equal(typeof place.province, "string");
+  assert.equal(typeof place.town, "string");
+  assert.equal(place.region, "");
+  assert.deepEqual(place.photos, []);
+  assert.ok(Array.isArray(place.reviews));
+  assert.equal(place.source.adapter, adapterName);
+  assert.ok(!Number.isNaN(Date.parse(place.source.harvested_at)));
+  assert.ok(raw && typeof raw === "object");
+
+  for (const photo of photos) {
+    assert.ok(photo.url || photo.file, "photo needs a url or a file");
+    for (const key of PHOTO_META_KEYS) assert.ok(key in photo, `photo is missing ${key}`);
+  }
+}
+
+test("every adapter is registered under its name", () => {
+  assert.deepEqual(adapters.map((a) => a.name).sort(), ["curated", "google", "osm", "park-csv"]);
+  for (const adapter of adapters) assert.equal(getAdapter(adapter.name), adapter);
+  assert.throws(() => getAdapter("nope"));
+});
+
+describe("google", () => {
+  const raw = require(path.join(FIXTURES, "google_raw.json"));
+  const record = getAdapter("google").replay(raw, { harvestedAt: HARVESTED_AT });
+
+  test("maps Place Details to the common shape", () => {
+    assertPlaceShape(record, "google");
+    assert.equal(record.place.place_id, "ChIJfx-kliphuis-0001");
+    assert.equal(record.place.name, "Kliphuis Campsite");
+    assert.equal(record.place.latitude, -32.1321);
+    assert.equal(record.place.longitude, 19.0012);
+    assert.equal(record.place.rating, 4.6);
+    assert.equal(record.place.total_reviews, 212);
+    assert.equal(record.place.business_status, "OPERATIONAL");
+    assert.equal(record.place.source.harvested_at, HARVESTED_AT);
+    assert.equal(record.photos.length, 2);
+  });
+});
+
+describe("park-csv", () => {
+  test("maps named rows to the common shape and skips the rest", async () => {
+    const records = await getAdapter("park-csv").harvest(path.join(FIXTURES, "parks.csv"));
+    assert.equal(records.length, 1);
+
+    const [record] = records;
+    assertPlaceShape(record, "park-csv");
+    assert.equal(record.place.slug, "kliphuis-camp");
+    assert.equal(record.place.town, "Clanwilliam");
+    assert.equal(record.place.contact.phone, "027 482 2403");
+    assert.equal(record.place.contact.booking_url, "https://parks.test/kliphuis");
+    assert.deepEqual(record.place.source, {
+      id: "WC-01",
+      park: "Cederberg",
+      file: "parks.csv",
+      adapter: "park-csv",
+      harvested_at: record.place.source.harvested_at,
+    });
+    assert.deepEqual(
+      record.photos.map((p) => [p.file || p.url, p.author_name, p.license]),
+      [
+        [path.join(FIXTURES, "kliphuis.jpg"), "CapeNature", "cc_by"],
+        ["https://parks.test/img/kliphuis-2.jpg", "CapeNature", "cc_by"],
+      ]
+    );
+  });
+});
+
+describe("curated", () => {
+  test("maps curated entries to the common shape and skips unnamed ones", async () => {
+    const records = await getAdapter("curated").harvest(path.join(FIXTURES, "curated.json"));
+    assert.equal(records.length, 1);
+
+    const [record] = records;
+    assertPlaceShape(record, "curated");
+    assert.equal(record.place.slug, "secret-spot");
+    assert.equal(record.place.town, "Simon's Town");
+    assert.equal(record.place.latitude, -33.9);
+    assert.equal(record.place.contact.phone, null);
+    assert.equal(record.place.source.curated_by, "team");
+    assert.deepEqual(
+      record.photos.map((p) => [p.file || p.url, p.author_name, p.license]),
+      [
+        [path.join(FIXTURES, "secret.jpg"), "Jo Bloggs", "cc_by_sa"],
+        ["https://secret.test/view.jpg", null, null],
+      ]
+    );
+  });
+});
+
+describe("osm", () => {
+  test("maps named campsites from Overpass JSON to the common shape", async () => {
+    const records = await getAdapter("osm").harvest(path.join(FIXTURES, "overpass.json"));
+    assert.deepEqual(
+      records.map((r) => r.place.name),
+      ["Tankwa Camp"]
+    );
+
+    const [record] = records;
+    assertPlaceShape(record, "osm");
+    assert.equal(record.place.province, "Northern Cape");
+    assert.equal(record.place.town, "Calvinia");
+    assert.equal(record.place.source.osm_url, "https://www.openstreetmap.org/node/101");
+    assert.equal(record.photos[0].license, null);
+  });
+
+  test("maps GeoJSON features, placing polygons at their centroid", async () => {
+    const [record] = await getAdapter("osm").harvest(path.join(FIXTURES, "camps.geojson"));
+    assertPlaceShape(record, "osm");
+    assert.equal(record.place.slug, "karoo-caravan-park");
+    assert.ok(Math.abs(record.place.latitude - -32.35) < 1e-9);
+    assert.ok(Math.abs(record.place.longitude - 20.7) < 1e-9);
+    assert.deepEqual(record.photos, []);
+  });
+});
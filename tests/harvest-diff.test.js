@@ -0,0 +1,113 @@
+// harvestDiff.js: which re-harvested fields are pushed to the Strapi draft,
+// which are only reported, and what gets flagged for review.
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { diffHarvest, formatChangeReport, TRACKED_FIELDS } = require("../harvestDiff");
+
+const previous = {
+  name: "Kliphuis Campsite",
+  slug: "kliphuis-campsite",
+  address: "Pakhuis Pass, Clanwilliam",
+  town: "Clanwilliam",
+  province: "Western Cape",
+  latitude: -32.1321,
+  longitude: 19.0012,
+  rating: 4.6,
+  total_reviews: 212,
+  business_status: "OPERATIONAL",
+  contact: { phone: "027 482 2403", website: "https://www.capenature.co.za/reserves/kliphuis" },
+  source: { harvested_at: "2025-03-01T08:00:00.000Z" },
+};
+
+// Strapi holds contact as a repeatable component
+const draftOf = (place, overrides = {}) => ({ ...place, contact: [{ id: 7, ...place.contact }], ...overrides });
+
+const byField = (diff) => Object.fromEntries(diff.changes.map((c) => [c.field, c.action]));
+
+describe("diffHarvest", () => {
+  test("nothing changed at the source: nothing to push or report", () => {
+    const diff = diffHarvest({ previous, next: { ...previous }, current: draftOf(previous) });
+    assert.deepEqual(diff, { changes: [], updates: {}, flags: [], unchanged: TRACKED_FIELDS.length });
+  });
+
+  test("source changes are pushed where the draft still holds the old value or nothing", () => {
+    const next = { ...previous, address: "R364, Clanwilliam", contact: { ...previous.contact, phone: "027 000 0000" } };
+    const current = draftOf(previous, { address: null });
+
+    const diff = diffHarvest({ previous, next, current });
+    assert.deepEqual(byField(diff), { address: "push", "contact.phone": "push" });
+    assert.deepEqual(diff.updates, { address: "R364, Clanwilliam", "contact.phone": "027 000 0000" });
+  });
+
+  test("hand edits in the draft are kept and only reported", () => {
+    const next = { ...previous, town: "Pakhuis", name: "Kliphuis Camp" };
+    const current = draftOf(previous, { town: "Cederberg", name: "Kliphuis Camp" });
+
+    const diff = diffHarvest({ previous, next, current });
+    assert.deepEqual(byField(diff), { name: "in-sync", town: "kept-manual-edit" });
+    assert.deepEqual(diff.updates, {});
+    assert.deepEqual(
+      diff.changes.find((c) => c.field === "town"),
+      { field: "town", previous: "Clanwilliam", next: "Pakhuis", current: "Cederberg", action: "kept-manual-edit" }
+    );
+  });
+
+  test("without a Strapi record changes are reported but not pushed", () => {
+    const diff = diffHarvest({ previous, next: { ...previous, rating: 4.7 }, current: null });
+    assert.deepEqual(byField(diff), { rating: "no-record" });
+    assert.deepEqual(diff.updates, {});
+  });
+
+  test("values are compared after trimming, as numbers and within coordinate precision", () => {
+    const next = { ...previous, town: " Clanwilliam ", total_reviews: "212", latitude: -32.13210004 };
+    const diff = diffHarvest({ previous, next, current: draftOf(previous) });
+    assert.deepEqual(diff.changes, []);
+  });
+
+  test("flags business status changes, treating a missing previous status as operational", () => {
+    const { business_status, ...unknownStatus } = previous;
+    const diff = diffHarvest({
+      previous: unknownStatus,
+      next: { ...previous, business_status: "CLOSED_PERMANENTLY" },
+      current: draftOf(previous),
+    });
+    assert.deepEqual(diff.flags, [
+      {
+        type: "business_status",
+        previous: "OPERATIONAL",
+        next: "CLOSED_PERMANENTLY",
+        message: "Google now lists this place as permanently closed (was operational)",
+      },
+    ]);
+  });
+
+  test("flags rating jumps of 0.3 stars or more only", () => {
+    const small = diffHarvest({ previous, next: { ...previous, rating: 4.4 }, current: draftOf(previous) });
+    assert.deepEqual(small.flags, []);
+
+    const jump = diffHarvest({ previous, next: { ...previous, rating: 4.2 }, current: draftOf(previous) });
+    assert.deepEqual(
+      jump.flags.map((f) => f.message),
+      ["Rating moved down from 4.6 to 4.2"]
+    );
+  });
+});
+
+describe("formatChangeReport", () => {
+  const next = { ...previous, address: "R364, Clanwilliam", source: { harvested_at: "2025-06-01T08:00:00.000Z" } };
+  const diff = diffHarvest({ previous, next, current: draftOf(previous) });
+
+  test("says the pushed changes are in the draft", () => {
+    const report = formatChangeReport({ place: next, previous, diff, pushed: true });
+    assert.match(report, /^# Re-harvest: Kliphuis Campsite \(kliphuis-campsite\)/);
+    assert.match(report, /- Changes were saved to the Strapi draft and still need publishing/);
+    assert.match(report, /\| address \| Pakhuis Pass, Clanwilliam \| R364, Clanwilliam \| Pakhuis Pass, Clanwilliam \| Pushed to the Strapi draft \|/);
+  });
+
+  test("a dry run lists the pushes as not sent", () => {
+    const report = formatChangeReport({ place: next, previous, diff, pushed: false, dryRun: true });
+    assert.match(report, /- Dry run: nothing was written to Strapi/);
+    assert.match(report, /\| To push \(not sent\) \|/);
+    assert.doesNotMatch(report, /still need publishing/);
+  });
+});
@@ -0,0 +1,135 @@
+// Offline replay (harvestPlace.js --replay): the Google mapping checked
+// against saved google_raw.json responses, and replayFolder() on a copy of
+// a harvested folder.
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getAdapter } = require("../harvestAdapters");
+const { replayFolder } = require("../harvestPlace");
+
+const FIXTURES = path.join(__dirname, "fixtures", "harvest");
+const HARVESTED_AT = "2025-03-01T08:00:00.000Z";
+
+const readFixture = (name) => JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf-8"));
+const replayGoogle = (name) => getAdapter("google").replay(readFixture(name), { harvestedAt: HARVESTED_AT });
+
+describe("google replay mapping", () => {
+  const full = replayGoogle("google_raw.json");
+  const sparse = replayGoogle("google_raw_sparse.json");
+
+  test("slug comes from the name, kebab-cased without punctuation", () => {
+    assert.equal(full.place.slug, "kliphuis-campsite");
+    assert.equal(sparse.place.slug, "bushveld-dam-camp-mpumalanga");
+  });
+
+  test("province and town come from the address components", () => {
+    assert.equal(full.place.province, "Western Cape");
+    assert.equal(full.place.town, "Clanwilliam");
+    // No locality component: the town is left blank, not guessed
+    assert.equal(sparse.place.province, "Mpumalanga");
+    assert.equal(sparse.place.town, "");
+  });
+
+  test("contact fields are trimmed, blank ones become null", () => {
+    assert.deepEqual(full.place.contact, {
+      phone: "027 482 2403",
+      email: null,
+      website: "https://www.capenature.co.za/reserves/kliphuis",
+      booking_url: "https://www.capenature.co.za/reserves/kliphuis",
+      google_info: "https://maps.google.com/?cid=1234567890",
+      whatsapp: null,
+    });
+    assert.deepEqual(sparse.place.contact, {
+      phone: "+27 13 000 0000",
+      email: null,
+      website: null,
+      booking_url: null,
+      google_info:
+        "https://www.google.com/maps/search/?api=1&query=-25.05,31.1&query_place_id=ChIJfx-sparse-0002",
+      whatsapp: null,
+    });
+  });
+
+  test("photo attribution keeps the HTML and splits out author and license", () => {
+    const [first, second] = full.photos;
+    assert.equal(first.attribution_html, '<a href="https://maps.google.com/maps/contrib/1111">Jane Doe</a>');
+    assert.equal(first.attribution_text, "Jane Doe");
+    assert.equal(first.author_name, "Jane Doe");
+    assert.equal(first.author_url, "https://maps.google.com/maps/contrib/1111");
+    assert.equal(first.license, "google_maps");
+    assert.deepEqual([first.width, first.height], [4032, 3024]);
+    assert.match(first.url, /photo_reference=AfLeUg-photo-1/);
+
+    assert.equal(second.attribution_text, "");
+    assert.equal(second.author_name, null);
+
+    const [nested] = sparse.photos;
+    assert.equal(nested.attribution_text, "Bushveld Dam Owner");
+    assert.equal(nested.author_url, "https://maps.google.com/maps/contrib/2222");
+  });
+
+  test("reviews map to place.json reviews with defaults for missing fields", () => {
+    assert.deepEqual(full.place.reviews, [
+      {
+        author_name: "Sam Rivers",
+        rating: 5,
+        text: "Cold river, warm people.",
+        review_time: "2 months ago",
+        author_photo_url: "https://lh3.googleusercontent.com/a/sam",
+        author_photo_local: null,
+      },
+      {
+        author_name: "",
+        rating: 3,
+        text: "",
+        review_time: "a year ago",
+        author_photo_url: "",
+        author_photo_local: null,
+      },
+    ]);
+  });
+});
+
+describe("replayFolder", () => {
+  let folder;
+
+  before(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+    fs.copyFileSync(path.join(FIXTURES, "google_raw.json"), path.join(folder, "google_raw.json"));
+    // Only the first photo was downloaded at harvest time
+    fs.writeFileSync(path.join(folder, "photo_1.jpg"), "");
+    fs.writeFileSync(
+      path.join(folder, "place.json"),
+      JSON.stringify({
+        name: "Kliphuis Campsite",
+        source: { adapter: "google", harvested_at: HARVESTED_AT },
+        reviews: [{ author_name: "Sam Rivers", author_photo_local: "reviewer_1.jpg" }],
+      })
+    );
+  });
+
+  after(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+  });
+
+  test("rebuilds place.json from the cached raw record", () => {
+    const result = replayFolder(folder);
+    assert.deepEqual(result, { folder, adapter: "google", changed: true });
+
+    const place = JSON.parse(fs.readFileSync(path.join(folder, "place.json"), "utf-8"));
+    assert.equal(place.slug, "kliphuis-campsite");
+    assert.equal(place.source.harvested_at, HARVESTED_AT);
+    assert.deepEqual(
+      place.photos.map((p) => [p.file, p.author_name, p.license]),
+      [["photo_1.jpg", "Jane Doe", "google_maps"]]
+    );
+    assert.equal(place.reviews[0].author_photo_local, "reviewer_1.jpg");
+    assert.equal(place.reviews[1].author_photo_local, null);
+  });
+
+  test("a second replay changes nothing", () => {
+    assert.equal(replayFolder(folder).changed, false);
+  });
+});
@@ -0,0 +1,69 @@
+// issue-report linkPlaces(): the backfill links reports to places without
+// publishing pending draft edits.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi } = require("./helpers/strapi");
+
+const ISSUE_UID = "api::issue-report.issue-report";
+const PLACE_UID = "api::place.place";
+
+let app;
+
+before(async () => {
+  app = await startStrapi();
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+test("links draft and published rows and keeps draft edits unpublished", async () => {
+  const { strapi } = app;
+  const place = await strapi.documents(PLACE_UID).create({
+    data: { name: "Link Camp", slug: "link-camp" },
+    status: "published",
+  });
+  const report = await strapi.documents(ISSUE_UID).create({
+    data: { place_slug: "link-camp", issue_type: "other", description: "Published text" },
+    status: "published",
+  });
+
+  // A report from before the relation existed, with an editor's draft change pending
+  const rows = await strapi.db.query(ISSUE_UID).findMany({ where: { documentId: report.documentId } });
+  for (const row of rows) await strapi.db.query(ISSUE_UID).update({ where: { id: row.id }, data: { place: null } });
+  await strapi.documents(ISSUE_UID).update({ documentId: report.documentId, data: { description: "Draft text" } });
+
+  const result = await strapi.service(ISSUE_UID).linkPlaces();
+  assert.deepEqual(result, { linked: 1, unresolved: [] });
+
+  const published = await strapi.documents(ISSUE_UID).findOne({
+    documentId: report.documentId,
+    status: "published",
+    populate: { place: { fields: ["slug"] } },
+  });
+  const draft = await strapi.documents(ISSUE_UID).findOne({
+    documentId: report.documentId,
+    populate: { place: { fields: ["slug"] } },
+  });
+  assert.equal(published.description, "Published text");
+  assert.equal(draft.description, "Draft text");
+  assert.equal(published.place?.documentId, place.documentId);
+  assert.equal(draft.place?.documentId, place.documentId);
+
+  // Each version points at the place version of the same status
+  const linkedRows = await strapi.db.query(ISSUE_UID).findMany({
+    where: { documentId: report.documentId },
+    populate: { place: { select: ["publishedAt"] } },
+  });
+  for (const row of linkedRows) assert.equal(Boolean(row.place.publishedAt), Boolean(row.publishedAt));
+});
+
+test("reports for unknown slugs stay unlinked", async () => {
+  const { strapi } = app;
+  await strapi.documents(ISSUE_UID).create({
+    data: { place_slug: "nowhere-camp", issue_type: "other", description: "?" },
+  });
+
+  const result = await strapi.service(ISSUE_UID).linkPlaces();
+  assert.deepEqual(result, { linked: 0, unresolved: ["nowhere-camp"] });
+});
@@ -0,0 +1,105 @@
+// Owner-scoped core actions (src/utils/owner-scoped.ts): users only see and
+// change their own records, and the owner comes from the JWT.
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi, createUser, apiClient } = require("./helpers/strapi");
+
+const COLLECTIONS = [
+  { uid: "api::saved-campsite.saved-campsite", path: "/saved-campsites", data: { place_slug: "owner-test-camp" } },
+  { uid: "api::saved-itinerary.saved-itinerary", path: "/saved-itineraries", data: { name: "Owner test trip" } },
+  { uid: "api::recently-viewed.recently-viewed", path: "/recently-vieweds", data: { place_slug: "owner-test-camp" } },
+  {
+    uid: "api::issue-report.issue-report",
+    path: "/issue-reports",
+    data: { place_slug: "owner-test-camp", issue_type: "other", description: "Gate code has changed" },
+  },
+];
+
+const ACTIONS = ["find", "findOne", "create", "update", "delete"];
+
+let app;
+let request;
+let alice;
+let bob;
+
+before(async () => {
+  app = await startStrapi();
+  request = apiClient(app.baseUrl);
+
+  const actions = COLLECTIONS.flatMap(({ uid }) => ACTIONS.map((action) => `${uid}.${action}`));
+  alice = await createUser(app.strapi, "alice", actions);
+  bob = await createUser(app.strapi, "bob", actions);
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+for (const { uid, path, data } of COLLECTIONS) {
+  describe(uid, () => {
+    let bobRecord;
+
+    before(async () => {
+      // Bob claims to create the record for Alice; the JWT wins
+      const res = await request("POST", path, {
+        jwt: bob.jwt,
+        body: { data: { ...data, users_permissions_user: alice.user.id } },
+      });
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+      bobRecord = res.body.data;
+    });
+
+    test("create takes the owner from the JWT, not the body", async () => {
+      const stored = await app.strapi.db.query(uid).findOne({
+        where: { documentId: bobRecord.documentId },
+        populate: { users_permissions_user: true },
+      });
+      assert.equal(stored.users_permissions_user.id, bob.user.id);
+    });
+
+    test("find only lists the caller's records", async () => {
+      const asAlice = await request("GET", path, { jwt: alice.jwt });
+      assert.equal(asAlice.status, 200);
+      assert.deepEqual(asAlice.body.data, []);
+
+      const asBob = await request("GET", path, { jwt: bob.jwt });
+      assert.deepEqual(
+        asBob.body.data.map((record) => record.documentId),
+        [bobRecord.documentId]
+      );
+    });
+
+    test("findOne of another user's record is not found", async () => {
+      const res = await request("GET", `${path}/${bobRecord.documentId}`, { jwt: alice.jwt });
+      assert.equal(res.status, 404);
+
+      const own = await request("GET", `${path}/${bobRecord.documentId}`, { jwt: bob.jwt });
+      assert.equal(own.status, 200);
+    });
+
+    test("update of another user's record is not found and changes nothing", async () => {
+      const before = await app.strapi.db.query(uid).findOne({ where: { documentId: bobRecord.documentId } });
+      const res = await request("PUT", `${path}/${bobRecord.documentId}`, {
+        jwt: alice.jwt,
+        body: { data: { description: "changed by alice", name: "changed by alice", place_name: "changed" } },
+      });
+      assert.equal(res.status, 404);
+
+      const after = await app.strapi.db.query(uid).findOne({ where: { documentId: bobRecord.documentId } });
+      assert.equal(after.updatedAt.valueOf(), before.updatedAt.valueOf());
+    });
+
+    test("delete of another user's record is not found and keeps it", async () => {
+      const res = await request("DELETE", `${path}/${bobRecord.documentId}`, { jwt: alice.jwt });
+      assert.equal(res.status, 404);
+
+      const count = await app.strapi.db.query(uid).count({ where: { documentId: bobRecord.documentId } });
+      assert.ok(count > 0);
+    });
+
+    test("anonymous requests are refused", async () => {
+      const res = await request("GET", path);
+      assert.ok([401, 403].includes(res.status), `status ${res.status}`);
+    });
+  });
+}
@@ -0,0 +1,120 @@
+// Places cannot be published while a photo lacks attribution, whichever
+// way the publish happens.
+const { test, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi, createUser } = require("./helpers/strapi");
+
+const PLACE_UID = "api::place.place";
+
+const credited = { attribution: "Jane Doe", source: "google", author_name: "Jane Doe", license: "google_maps" };
+const uncredited = { attribution: "Someone", source: "park_csv", author_name: "Someone" };
+
+// Photos synced before the attribution fields existed
+const legacy = { attribution: "Old credit" };
+
+let app;
+let place;
+
+before(async () => {
+  app = await startStrapi();
+  place = await app.strapi.documents(PLACE_UID).create({
+    data: { name: "Credit Camp", slug: "credit-camp", photos: [credited] },
+    status: "published",
+  });
+  // An editor adds a photo without a license to the draft
+  await app.strapi.documents(PLACE_UID).update({
+    documentId: place.documentId,
+    data: { photos: [credited, uncredited] },
+  });
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+const publishedPhotos = async () =>
+  (
+    await app.strapi.documents(PLACE_UID).findOne({
+      documentId: place.documentId,
+      status: "published",
+      populate: { photos: true },
+    })
+  ).photos;
+
+test("publish is refused while a draft photo has no license", async () => {
+  await assert.rejects(
+    app.strapi.documents(PLACE_UID).publish({ documentId: place.documentId }),
+    (err) => err.name === "ValidationError" && err.details.photos[0].index === 1
+  );
+  assert.equal((await publishedPhotos()).length, 1);
+});
+
+test("a publishing update that leaves photos alone checks the draft's photos", async () => {
+  await assert.rejects(
+    app.strapi.documents(PLACE_UID).update({
+      documentId: place.documentId,
+      data: { rating: 4.2 },
+      status: "published",
+    }),
+    { name: "ValidationError" }
+  );
+  assert.equal((await publishedPhotos()).length, 1);
+});
+
+test("a publishing update with unattributed photos is refused", async () => {
+  await assert.rejects(
+    app.strapi.documents(PLACE_UID).update({
+      documentId: place.documentId,
+      data: { photos: [uncredited] },
+      status: "published",
+    }),
+    { name: "ValidationError" }
+  );
+});
+
+test("draft-only updates are allowed", async () => {
+  await app.strapi.documents(PLACE_UID).update({ documentId: place.documentId, data: { rating: 4.1 } });
+});
+
+test("publishing goes through once every photo is attributed", async () => {
+  await app.strapi.documents(PLACE_UID).update({
+    documentId: place.documentId,
+    data: { photos: [credited, { ...uncredited, license: "permission" }] },
+  });
+  await app.strapi.documents(PLACE_UID).update({
+    documentId: place.documentId,
+    data: { rating: 4.3 },
+    status: "published",
+  });
+  assert.equal((await publishedPhotos()).length, 2);
+});
+
+test("enrichment of a place with legacy photos is saved to its draft", async () => {
+  const { strapi } = app;
+  const { jwt } = await createUser(strapi, "enricher", [
+    "api::place.place.find",
+    "api::place.place.update",
+    "api::amenity.amenity.find",
+  ]);
+  process.env.LOCAL_STRAPI_URL = app.baseUrl.replace(/\/api$/, "");
+  process.env.LOCAL_STRAPI_TOKEN = jwt;
+
+  const old = await strapi.documents(PLACE_UID).create({
+    data: { name: "Legacy Camp", slug: "legacy-camp", description: "Live text" },
+    status: "published",
+  });
+  await strapi.documents(PLACE_UID).update({ documentId: old.documentId, data: { photos: [legacy] } });
+
+  mock.method(console, "log", () => {});
+  const { enrichDocuments } = require("../enrichDocuments");
+  const updated = await enrichDocuments({
+    places: [{ slug: "legacy-camp", description: "Enriched text", facilities_summary: "Showers" }],
+  });
+  mock.restoreAll();
+
+  assert.deepEqual(updated, ["legacy-camp"]);
+  const draft = await strapi.documents(PLACE_UID).findOne({ documentId: old.documentId, status: "draft" });
+  const published = await strapi.documents(PLACE_UID).findOne({ documentId: old.documentId, status: "published" });
+  assert.equal(draft.description, "Enriched text");
+  assert.equal(published.description, "Live text");
+});
@@ -0,0 +1,30 @@
+// photoCredits.js formatCredit(): credit lines with the author and license
+// linked, and only http(s) links.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { formatCredit } = require("../photoCredits");
+
+const photo = { source: "curated", author_name: "Jo Bloggs", license: "cc_by_sa" };
+
+test("links the author and the license", () => {
+  const credit = formatCredit({ ...photo, author_url: "https://example.test/jo" });
+  assert.equal(credit.text, "Photo: Jo Bloggs via Curated list · CC BY-SA 4.0");
+  assert.equal(
+    credit.html,
+    'Photo: <a href="https://example.test/jo" rel="nofollow noopener" target="_blank">Jo Bloggs</a>' +
+      " via Curated list · " +
+      '<a href="https://creativecommons.org/licenses/by-sa/4.0/" rel="nofollow noopener" target="_blank">CC BY-SA 4.0</a>'
+  );
+});
+
+test("drops author links that are not http(s)", () => {
+  for (const author_url of ["javascript:alert(1)", " JavaScript:alert(1)", "data:text/html,x", "//evil.test"]) {
+    const { html } = formatCredit({ ...photo, author_url });
+    assert.ok(html.startsWith("Photo: Jo Bloggs via"), `${author_url} was linked: ${html}`);
+  }
+});
+
+test("escapes the author name", () => {
+  const { html } = formatCredit({ ...photo, author_name: '<img src=x onerror="1">' });
+  assert.ok(html.startsWith("Photo: &lt;img src=x onerror=&quot;1&quot;&gt; via"));
+});
@@ -0,0 +1,38 @@
+// place countFacets(): option counts are numbers of places.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi } = require("./helpers/strapi");
+
+const PLACE_UID = "api::place.place";
+
+let app;
+
+before(async () => {
+  app = await startStrapi();
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+test("a place tagged twice the same way counts once", async () => {
+  const { strapi } = app;
+  await strapi.documents(PLACE_UID).create({
+    data: { name: "Peak Camp", slug: "peak-camp", tag: [{ label: "Hiking" }, { label: "hiking " }, { label: "Views" }] },
+    status: "published",
+  });
+  await strapi.documents(PLACE_UID).create({
+    data: { name: "Valley Camp", slug: "valley-camp", tag: [{ label: "Hiking" }] },
+    status: "published",
+  });
+
+  const { facets, total } = await strapi.service(PLACE_UID).countFacets({});
+  assert.equal(total, 2);
+  assert.deepEqual(
+    facets.tags.map(({ value, label, count }) => [value, label, count]),
+    [
+      ["hiking", "Hiking", 2],
+      ["views", "Views", 1],
+    ]
+  );
+});
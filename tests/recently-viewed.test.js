@@ -0,0 +1,73 @@
+// Recently-viewed history is ordered by view time, including entries saved
+// before every entry had one.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi, createUser } = require("./helpers/strapi");
+
+const PLACE_UID = "api::place.place";
+const RECENT_UID = "api::recently-viewed.recently-viewed";
+
+let app;
+
+before(async () => {
+  app = await startStrapi();
+  for (const slug of ["old-camp", "river-camp", "hill-camp"]) {
+    await app.strapi.documents(PLACE_UID).create({ data: { name: slug, slug }, status: "published" });
+  }
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+test("entries created without a view time get one", async () => {
+  const { strapi } = app;
+  const { user } = await createUser(strapi, "creator");
+  const entry = await strapi.service(RECENT_UID).create({
+    data: { place_slug: "river-camp", users_permissions_user: user.id },
+  });
+  assert.ok(entry.viewed_at);
+});
+
+test("legacy entries without a view time sort by age and are trimmed first", async () => {
+  const { strapi } = app;
+  const { user } = await createUser(strapi, "viewer");
+  const service = strapi.service(RECENT_UID);
+
+  const legacy = await service.create({
+    data: { place_slug: "old-camp", users_permissions_user: user.id },
+    status: "published",
+  });
+  await strapi.db.query(RECENT_UID).updateMany({
+    where: { documentId: legacy.documentId },
+    data: { viewed_at: null, createdAt: new Date("2024-01-01T00:00:00Z") },
+  });
+
+  assert.equal(await service.backfillViewedAt(), 2);
+  const rows = await strapi.db.query(RECENT_UID).findMany({ where: { documentId: legacy.documentId } });
+  assert.deepEqual(
+    rows.map((row) => new Date(row.viewed_at).toISOString()),
+    ["2024-01-01T00:00:00.000Z", "2024-01-01T00:00:00.000Z"]
+  );
+
+  await service.track({ userId: user.id, slug: "river-camp" });
+  await service.track({ userId: user.id, slug: "hill-camp" });
+  const history = await service.findHistory({ userId: user.id, limit: 10 });
+  assert.deepEqual(
+    history.results.map((entry) => entry.place_slug),
+    ["hill-camp", "river-camp", "old-camp"]
+  );
+
+  const maxEntries = strapi.config.get("recently-viewed.maxEntries");
+  strapi.config.set("recently-viewed.maxEntries", 2);
+  try {
+    assert.equal(await service.trim(user.id), 1);
+  } finally {
+    strapi.config.set("recently-viewed.maxEntries", maxEntries);
+  }
+  const trimmed = await service.findHistory({ userId: user.id, limit: 10 });
+  assert.deepEqual(
+    trimmed.results.map((entry) => entry.place_slug),
+    ["hill-camp", "river-camp"]
+  );
+});
@@ -0,0 +1,119 @@
+// A user can save a place only once, even when requests race.
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startStrapi, createUser, apiClient } = require("./helpers/strapi");
+
+const UID = "api::saved-campsite.saved-campsite";
+
+let app;
+let request;
+let user;
+
+before(async () => {
+  app = await startStrapi();
+  request = apiClient(app.baseUrl);
+  user = await createUser(app.strapi, "saver", [`${UID}.create`, `${UID}.update`, `${UID}.find`]);
+});
+
+after(async () => {
+  await app?.stop();
+});
+
+const savedSlugs = async () => {
+  const rows = await app.strapi.db.query(UID).findMany({
+    where: { users_permissions_user: { id: user.user.id } },
+    select: ["documentId", "place_slug"],
+  });
+  return Array.from(new Map(rows.map((row) => [row.documentId, row.place_slug])).values()).sort();
+};
+
+test("concurrent creates of the same place store it once", async () => {
+  // Widen the gap between the duplicate check and the write, so requests
+  // that are not serialised would all pass the check
+  const service = app.strapi.service(UID);
+  const findSaved = service.findSavedDocumentIds;
+  service.findSavedDocumentIds = async function (...args) {
+    const found = await findSaved.apply(this, args);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return found;
+  };
+
+  const responses = await Promise.all(
+    Array.from({ length: 5 }, () =>
+      request("POST", "/saved-campsites", { jwt: user.jwt, body: { data: { place_slug: "race-camp" } } })
+    )
+  );
+
+  service.findSavedDocumentIds = findSaved;
+
+  assert.deepEqual(responses.map((res) => res.status).sort(), [201, 400, 400, 400, 400]);
+  assert.deepEqual(await savedSlugs(), ["race-camp"]);
+});
+
+test("renaming a save onto an already saved place is refused", async () => {
+  const other = await request("POST", "/saved-campsites", {
+    jwt: user.jwt,
+    body: { data: { place_slug: "other-camp" } },
+  });
+  assert.equal(other.status, 201);
+
+  const res = await request("PUT", `/saved-campsites/${other.body.data.documentId}`, {
+    jwt: user.jwt,
+    body: { data: { place_slug: "race-camp" } },
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(await savedSlugs(), ["other-camp", "race-camp"]);
+});
+
+test("the database refuses a second save written around the service", async () => {
+  // As the admin panel or another app instance would
+  await assert.rejects(
+    app.strapi.documents(UID).create({
+      data: { place_slug: "race-camp", users_permissions_user: user.user.id },
+      status: "published",
+    }),
+    { name: "ValidationError", message: "This place is already saved" }
+  );
+  assert.deepEqual(await savedSlugs(), ["other-camp", "race-camp"]);
+});
+
+test("the one-off migration removes existing duplicates, keeping the first save", async () => {
+  const { backfillOwnerKeys } = require("../dist/src/utils/owner-key");
+  const other = await createUser(app.strapi, "doubler");
+  const docs = [];
+  for (const slug of ["dup-camp", "dup-camp-2"]) {
+    docs.push(
+      await app.strapi.documents(UID).create({
+        data: { place_slug: slug, users_permissions_user: other.user.id },
+        status: "published",
+      })
+    );
+  }
+  // Older data: no keys, and the same place saved twice
+  await app.strapi.db
+    .connection("saved_campsites")
+    .whereIn(
+      "document_id",
+      docs.map((doc) => doc.documentId)
+    )
+    .update({ owner_key: null });
+  await app.strapi.db.query(UID).updateMany({
+    where: { documentId: docs[1].documentId },
+    data: { place_slug: "dup-camp" },
+  });
+
+  const { removed } = await backfillOwnerKeys(UID);
+  assert.deepEqual(removed, [docs[1].documentId]);
+
+  const rows = await app.strapi.db.query(UID).findMany({
+    where: { users_permissions_user: { id: other.user.id } },
+    select: ["id", "documentId", "owner_key"],
+  });
+  assert.deepEqual(
+    rows.map((row) => [row.documentId, row.owner_key]),
+    [
+      [docs[0].documentId, `${other.user.id}:dup-camp`],
+      [docs[0].documentId, `${other.user.id}:dup-camp`],
+    ]
+  );
+});
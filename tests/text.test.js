@@ -0,0 +1,27 @@
+// utils/text highlight(): excerpts around the first match, with matches marked.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { highlight } = require("../dist/src/utils/text");
+
+test("marks words starting with a term, escaping the rest", () => {
+  assert.equal(
+    highlight("Hot showers & <braai> spots", ["show", "braai"]),
+    "Hot <mark>showers</mark> &amp; &lt;<mark>braai</mark>&gt; spots"
+  );
+});
+
+test("cuts the excerpt at a space inside the window", () => {
+  const text = "The campsite sits on the river bank with shaded stands and hot showers for everyone";
+  assert.equal(highlight(text, [], 30), "The campsite sits on the river…");
+});
+
+test("text without spaces is cut mid-word rather than dropped", () => {
+  const text = "x".repeat(100);
+  assert.equal(highlight(text, [], 20), `${"x".repeat(20)}…`);
+});
+
+test("a long word after the window start is cut, not the excerpt emptied", () => {
+  // The last space before the window end lies before its start
+  const text = `intro ${"x".repeat(50)} dam${"y".repeat(100)}`;
+  assert.equal(highlight(text, ["dam"], 40), `…<mark>dam${"y".repeat(37)}</mark>…`);
+});
@@ -33,7 +33,16 @@ export interface GeneralPhoto extends Struct.ComponentSchema {
   };
   attributes: {
     attribution: Schema.Attribute.Text;
+    author_name: Schema.Attribute.String;
+    author_url: Schema.Attribute.String;
+    harvested_at: Schema.Attribute.DateTime;
     image: Schema.Attribute.Media<'images' | 'files' | 'videos' | 'audios'>;
+    license: Schema.Attribute.Enumeration<
+      ['google_maps', 'cc_by', 'cc_by_sa', 'cc0', 'permission', 'own']
+    >;
+    source: Schema.Attribute.Enumeration<
+      ['google', 'park_csv', 'curated', 'osm', 'manual']
+    >;
   };
 }
 
@@ -48,6 +57,20 @@ export interface GeneralRate extends Struct.ComponentSchema {
   };
 }
 
+export interface GeneralReportEvent extends Struct.ComponentSchema {
+  collectionName: 'components_general_report_events';
+  info: {
+    displayName: 'Report Event';
+  };
+  attributes: {
+    actor: Schema.Attribute.String;
+    changed_at: Schema.Attribute.DateTime;
+    changes: Schema.Attribute.JSON;
+    from_status: Schema.Attribute.String;
+    to_status: Schema.Attribute.String;
+  };
+}
+
 export interface GeneralReview extends Struct.ComponentSchema {
   collectionName: 'components_general_reviews';
   info: {
@@ -172,6 +195,7 @@ declare module '@strapi/strapi' {
       'general.highlight': GeneralHighlight;
       'general.photo': GeneralPhoto;
       'general.rate': GeneralRate;
+      'general.report-event': GeneralReportEvent;
       'general.review': GeneralReview;
       'general.seasonal-guide': GeneralSeasonalGuide;
       'general.tag': GeneralTag;
@@ -410,6 +410,41 @@ export interface AdminUser extends Struct.CollectionTypeSchema {
   };
 }
 
+export interface ApiAmenityCategoryAmenityCategory
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'amenity_categories';
+  info: {
+    description: 'Groups amenities for filters and place pages, shown in display order';
+    displayName: 'Amenity Category';
+    pluralName: 'amenity-categories';
+    singularName: 'amenity-category';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  attributes: {
+    amenities: Schema.Attribute.Relation<'oneToMany', 'api::amenity.amenity'>;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    display_order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::amenity-category.amenity-category'
+    > &
+      Schema.Attribute.Private;
+    name: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.Unique;
+    publishedAt: Schema.Attribute.DateTime;
+    slug: Schema.Attribute.UID<'name'>;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiAmenityAmenity extends Struct.CollectionTypeSchema {
   collectionName: 'amenities';
   info: {
@@ -421,6 +456,11 @@ export interface ApiAmenityAmenity extends Struct.CollectionTypeSchema {
     draftAndPublish: true;
   };
   attributes: {
+    aliases: Schema.Attribute.JSON;
+    category: Schema.Attribute.Relation<
+      'manyToOne',
+      'api::amenity-category.amenity-category'
+    >;
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
@@ -444,6 +484,62 @@ export interface ApiAmenityAmenity extends Struct.CollectionTypeSchema {
   };
 }
 
+export interface ApiCommunityReviewCommunityReview
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'community_reviews';
+  info: {
+    description: 'Reviews left by our own users, moderated before they count';
+    displayName: 'community-review';
+    pluralName: 'community-reviews';
+    singularName: 'community-review';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  attributes: {
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::community-review.community-review'
+    > &
+      Schema.Attribute.Private;
+    moderation_note: Schema.Attribute.String;
+    moderation_status: Schema.Attribute.Enumeration<
+      ['pending', 'approved', 'rejected']
+    > &
+      Schema.Attribute.DefaultTo<'pending'>;
+    owner_key: Schema.Attribute.String & Schema.Attribute.Private;
+    photos: Schema.Attribute.Media<'images', true>;
+    place: Schema.Attribute.Relation<'manyToOne', 'api::place.place'>;
+    place_slug: Schema.Attribute.String & Schema.Attribute.Required;
+    publishedAt: Schema.Attribute.DateTime;
+    rating: Schema.Attribute.Integer &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetMinMax<
+        {
+          max: 5;
+          min: 1;
+        },
+        number
+      >;
+    stay_date: Schema.Attribute.Date;
+    text: Schema.Attribute.Text &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 4000;
+      }>;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    users_permissions_user: Schema.Attribute.Relation<
+      'manyToOne',
+      'plugin::users-permissions.user'
+    >;
+  };
+}
+
 export interface ApiIssueReportIssueReport extends Struct.CollectionTypeSchema {
   collectionName: 'issue_reports';
   info: {
@@ -461,6 +557,7 @@ export interface ApiIssueReportIssueReport extends Struct.CollectionTypeSchema {
       Schema.Attribute.Private;
     description: Schema.Attribute.Text;
     feedback_type: Schema.Attribute.Enumeration<['issue', 'feature']>;
+    history: Schema.Attribute.Component<'general.report-event', true>;
     issue_type: Schema.Attribute.String;
     locale: Schema.Attribute.String & Schema.Attribute.Private;
     localizations: Schema.Attribute.Relation<
@@ -468,8 +565,10 @@ export interface ApiIssueReportIssueReport extends Struct.CollectionTypeSchema {
       'api::issue-report.issue-report'
     > &
       Schema.Attribute.Private;
+    place: Schema.Attribute.Relation<'manyToOne', 'api::place.place'>;
     place_name: Schema.Attribute.String;
     place_slug: Schema.Attribute.String;
+    proposed_changes: Schema.Attribute.JSON;
     publishedAt: Schema.Attribute.DateTime;
     resolved_at: Schema.Attribute.DateTime;
     statusReport: Schema.Attribute.Enumeration<
@@ -500,6 +599,9 @@ export interface ApiPlacePlace extends Struct.CollectionTypeSchema {
     address: Schema.Attribute.Text;
     ai_summary: Schema.Attribute.RichText;
     amenities: Schema.Attribute.Relation<'manyToMany', 'api::amenity.amenity'>;
+    community_rating: Schema.Attribute.Decimal;
+    community_review_count: Schema.Attribute.Integer &
+      Schema.Attribute.DefaultTo<0>;
     contact: Schema.Attribute.Component<'general.contact', true>;
     cover_photo: Schema.Attribute.Media<
       'images' | 'files' | 'videos' | 'audios'
@@ -579,7 +681,7 @@ export interface ApiRecentlyViewedRecentlyViewed
       'manyToOne',
       'plugin::users-permissions.user'
     >;
-    viewed_at: Schema.Attribute.DateTime;
+    viewed_at: Schema.Attribute.DateTime & Schema.Attribute.Required;
   };
 }
 
@@ -604,6 +706,7 @@ export interface ApiSavedCampsiteSavedCampsite
       'api::saved-campsite.saved-campsite'
     > &
       Schema.Attribute.Private;
+    owner_key: Schema.Attribute.String & Schema.Attribute.Private;
     place_image: Schema.Attribute.String;
     place_name: Schema.Attribute.String;
     place_region: Schema.Attribute.String;
@@ -657,6 +760,55 @@ export interface ApiSavedItinerarySavedItinerary
   };
 }
 
+export interface ApiUnmatchedAmenityUnmatchedAmenity
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'unmatched_amenities';
+  info: {
+    description: 'Amenity slugs from enrichment that matched no amenity, waiting for review';
+    displayName: 'unmatched-amenity';
+    pluralName: 'unmatched-amenities';
+    singularName: 'unmatched-amenity';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  attributes: {
+    amenity: Schema.Attribute.Relation<'manyToOne', 'api::amenity.amenity'>;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    last_seen_at: Schema.Attribute.DateTime;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::unmatched-amenity.unmatched-amenity'
+    > &
+      Schema.Attribute.Private;
+    occurrences: Schema.Attribute.Integer &
+      Schema.Attribute.SetMinMax<
+        {
+          min: 0;
+        },
+        number
+      > &
+      Schema.Attribute.DefaultTo<0>;
+    place_slugs: Schema.Attribute.JSON;
+    publishedAt: Schema.Attribute.DateTime;
+    requested: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.Unique;
+    review_status: Schema.Attribute.Enumeration<
+      ['pending', 'aliased', 'ignored']
+    > &
+      Schema.Attribute.Required &
+      Schema.Attribute.DefaultTo<'pending'>;
+    suggestions: Schema.Attribute.JSON;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface PluginContentReleasesRelease
   extends Struct.CollectionTypeSchema {
   collectionName: 'strapi_releases';
@@ -1115,6 +1267,10 @@ export interface PluginUsersPermissionsUser
   };
   attributes: {
     blocked: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<false>;
+    community_reviews: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::community-review.community-review'
+    >;
     confirmationToken: Schema.Attribute.String & Schema.Attribute.Private;
     confirmed: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<false>;
     createdAt: Schema.Attribute.DateTime;
@@ -1186,12 +1342,15 @@ declare module '@strapi/strapi' {
       'admin::transfer-token': AdminTransferToken;
       'admin::transfer-token-permission': AdminTransferTokenPermission;
       'admin::user': AdminUser;
+      'api::amenity-category.amenity-category': ApiAmenityCategoryAmenityCategory;
       'api::amenity.amenity': ApiAmenityAmenity;
+      'api::community-review.community-review': ApiCommunityReviewCommunityReview;
       'api::issue-report.issue-report': ApiIssueReportIssueReport;
       'api::place.place': ApiPlacePlace;
       'api::recently-viewed.recently-viewed': ApiRecentlyViewedRecentlyViewed;
       'api::saved-campsite.saved-campsite': ApiSavedCampsiteSavedCampsite;
       'api::saved-itinerary.saved-itinerary': ApiSavedItinerarySavedItinerary;
+      'api::unmatched-amenity.unmatched-amenity': ApiUnmatchedAmenityUnmatchedAmenity;
       'plugin::content-releases.release': PluginContentReleasesRelease;
       'plugin::content-releases.release-action': PluginContentReleasesReleaseAction;
       'plugin::i18n.locale': PluginI18NLocale;